@@ -0,0 +1,219 @@
+/**
+*	Chart specifications: build a rendered chart from a declarative JSON specification and serialize a live chart back to a specification
+*
+*
+*
+*	NOTES:
+*		[1] A specification has the following form:
+*
+*				{
+*					"el": "body", // selector of the DOM element into which the chart is rendered
+*					"layer": "AnimationLayer", // name of the view in App.Views; alternatively, list the layers from which to assemble the chart as "layers": ["annotations", "listeners"] (see App.Layers)
+*					"data": {
+*						"url": "data/example2.json", // endpoint from which data series are fetched (default: the chart's dataUrl option); alternatively, provide the data inline as "values": [...]
+*						"adapter": "rows", // (optional) registered adapter; see App.Adapters
+*						"mapping": {...}, // (optional) response mapping; see App.Collections.Data.mapping
+*						"options": {...} // (optional) adapter options; e.g., {"time": "%Y-%m-%d"}
+*					},
+*					"chart": {...}, // chart options; see App.Models.Chart.defaults
+*					"annotations": {...} // annotation options: title, caption, legend, xLabel, yLabel, y2Label and dataCursor
+*				}
+*
+*		[2] Serialized specifications only include chart and annotation options which differ from the defaults. Options holding functions (e.g., data accessors) cannot be represented in JSON and are dropped.
+*		[3] Data fetched from a url serializes to the url; otherwise, the data series are serialized inline.
+*		[4] Inspired by Vega's declarative approach: http://trifacta.github.io/vega/
+*
+*
+*
+*	 Copyright (c) 2026. Backbone.js + D3.js contributors.
+*	 License: MIT (http://www.opensource.org/licenses/mit-license.php)
+*
+*/
+
+
+App.Spec = {
+
+	// Chart options which are grouped as annotations:
+	annotations: ['title', 'caption', 'legend', 'xLabel', 'yLabel', 'y2Label', 'dataCursor'],
+
+	// Default view:
+	layer: 'AnimationLayer',
+
+	validate: function( spec ) {
+
+		if ( !_.isObject( spec ) ) {
+			return 'ERROR:invalid chart specification. Specification must be an object.';
+		}; // end IF
+
+		if ( !_.isString( spec.el ) ) {
+			return 'ERROR:invalid chart specification. "el" must be a selector string.';
+		}; // end IF
+
+		if ( spec.layer && !App.Views[ spec.layer ] ) {
+			return 'ERROR:invalid chart specification. "layer" must be one of the following options: ' + _.keys( App.Views );
+		}; // end IF
+
+		if ( spec.layers && ( !_.isArray( spec.layers ) || _.difference( spec.layers, App.Layers.list() ).length ) ) {
+			return 'ERROR:invalid chart specification. "layers" must be an array of any of the following options: ' + App.Layers.list();
+		}; // end IF
+
+		if ( spec.chart && !_.isObject( spec.chart ) ) {
+			return 'ERROR:invalid chart specification. "chart" must be an object.';
+		}; // end IF
+
+		// Without a data url, data may be fetched from the chart's dataUrl:
+		if ( ( spec.data && !_.isObject( spec.data ) ) || ( !this.data( spec ).url && !_.isArray( this.data( spec ).values ) && !_.isString( this.data( spec ).values ) ) ) {
+			return 'ERROR:invalid chart specification. "data" must provide either a url or inline values, or "chart" must provide a dataUrl.';
+		}; // end IF
+
+		if ( spec.annotations && ( !_.isObject( spec.annotations ) || _.difference( _.keys( spec.annotations ), this.annotations ).length ) ) {
+			return 'ERROR:invalid chart specification. "annotations" must be an object having any of the following keys: ' + this.annotations;
+		}; // end IF
+
+	},
+
+	// Resolve the data specification: the url defaults to the chart's dataUrl, such that a stored chart configuration fetches the data it visualizes:
+	data: function( spec ) {
+
+		var data = _.extend( {}, spec.data );
+
+		if ( !data.url && !data.values && spec.chart && spec.chart.dataUrl ) {
+			data.url = spec.chart.dataUrl;
+		}; // end IF
+
+		return data;
+
+	},
+
+	// Build a chart from a specification, returning the view. The view is rendered, and passed to the (optional) callback, once the data is loaded; inline data is loaded immediately.
+	build: function( spec, clbk ) {
+
+		var error = this.validate( spec );
+
+		if ( error ) {
+			App.Reports.error( 'INVALID_SPEC', error, {
+				'spec': spec
+			});
+			return null;
+		}; // end IF
+
+		var data = this.data( spec ),
+			View = spec.layers ? App.Layers.compose( spec.layers ) : App.Views[ spec.layer || this.layer ];
+
+		// Instantiate the Chart Model: (annotations are chart options)
+		var chart = new App.Models.Chart();
+		chart.set( _.extend( {}, spec.chart, spec.annotations ) );
+
+		// Record the data url, so that a saved configuration refers to the data it visualizes:
+		if ( data.url ) {
+			chart.set( 'dataUrl', data.url );
+		}; // end IF
+
+		// Instantiate the Data Model:
+		var collection = new App.Collections.Data( [], {
+			'url': data.url,
+			'adapter': data.adapter,
+			'mapping': data.mapping
+		});
+
+		var view = new View( {
+			el: spec.el,
+			collection: collection,
+			model: chart
+		});
+
+		// Keep the data specification, so that the chart serializes back to the same data source:
+		view.spec = { 'data': data };
+
+		if ( data.values ) {
+			collection.reset( collection.parse( data.values, data.options ) );
+			render();
+			return view;
+		}; // end IF
+
+		// The view is rendered once the data is fetched:
+		collection.fetch( _.extend( {}, data.options, {
+			'success': render,
+			'error': function( collection, response ) {
+				chart.error( 'DATA_LOAD_FAILED', 'unable to load data from "' + data.url + '".', {
+					'url': data.url,
+					'status': response && response.status
+				});
+			}
+		}) );
+
+		return view;
+
+		function render() {
+			view.render();
+			if ( clbk ) {
+				clbk( view );
+			}; // end IF
+		}; // end FUNCTION render()
+
+	},
+
+	// Serialize a live chart to a specification:
+	serialize: function( view ) {
+
+		var chart = view.model,
+			collection = view.collection,
+			defaults = chart.defaults,
+			data = view.spec && view.spec.data,
+			options = {},
+			spec;
+
+		// Only include options which differ from the defaults and which can be represented in JSON:
+		_.each( chart.toJSON(), function( value, key ) {
+			if ( !_.isFunction( value ) && !_.isEqual( value, defaults[ key ] ) ) {
+				options[ key ] = value;
+			}; // end IF
+		});
+
+		spec = {
+			'el': _.isString( view.options.el ) ? view.options.el : '#' + view.el.id,
+			'layer': _.find( _.keys( App.Views ), function( name ) {
+				return App.Views[ name ] === view.constructor;
+			}),
+			'data': {},
+			'chart': _.omit( options, this.annotations ),
+			'annotations': _.pick( options, this.annotations )
+		};
+
+		if ( collection.url ) {
+			// Refer to the data source:
+			spec.data = _.pick( data || collection, 'url', 'adapter', 'mapping', 'options' );
+			spec.data.url = collection.url;
+			// The chart's dataUrl duplicates the data url:
+			if ( spec.chart.dataUrl === spec.data.url ) {
+				delete spec.chart.dataUrl;
+			}; // end IF
+			if ( _.isFunction( spec.data.mapping ) ) {
+				chart.warning( 'MAPPING_DROPPED', 'a mapping function cannot be serialized. Mapping dropped.', {
+					'url': collection.url
+				});
+				delete spec.data.mapping;
+			}; // end IF
+		} else {
+			// Serialize the data series inline:
+			spec.data.values = collection.toJSON();
+		}; // end IF/ELSE
+
+		// A chart assembled from layers serializes to its list of layers:
+		if ( !spec.layer ) {
+			delete spec.layer;
+			spec.layers = _.without( view.layers, 'base' );
+		}; // end IF
+
+		// Remove unset data settings:
+		_.each( spec.data, function( value, key ) {
+			if ( value == null ) {
+				delete spec.data[ key ];
+			}; // end IF
+		});
+
+		return spec;
+
+	}
+
+};
@@ -0,0 +1,361 @@
+/**
+*	Data adapters: convert raw input data into the data series format expected by App.Collections.Data
+*
+*
+*
+*	NOTES:
+*		[1] Each adapter is an object with two methods: validate( input, options ) and convert( input, options ). The validate method returns an error string if the input is malformed; otherwise, it returns nothing. The convert method returns an array of data series attribute objects, i.e., [ {'name': '', 'dataSeries': [ {'x': #, 'y': #}, ... ]}, ... ].
+*		[2] Adapters are used by App.Collections.Data.parse; e.g., new App.Collections.Data( json, {parse: true, adapter: 'rows'} ).
+*		[3] Additional adapters may be registered: App.Adapters.register( 'name', {validate: ..., convert: ...} ).
+*		[4] Time values may be parsed on ingest by setting the 'time' option: either true (ISO 8601 strings and epoch milliseconds) or a d3.time.format specifier; e.g., {parse: true, adapter: 'csv', time: '%Y-%m-%d'}.
+*
+*
+*
+*	 Copyright (c) 2026. Backbone.js + D3.js contributors.
+*	 License: MIT (http://www.opensource.org/licenses/mit-license.php)
+*
+*/
+
+
+App.Adapters = {
+
+	// Registered adapters:
+	_adapters: {},
+
+	register: function( name, adapter ) {
+
+		if ( !_.isString( name ) || !_.isObject( adapter ) || !_.isFunction( adapter.validate ) || !_.isFunction( adapter.convert ) ) {
+			App.Reports.error( 'INVALID_ADAPTER', 'invalid adapter. An adapter must have a string name and provide both validate and convert methods.', {
+				'adapter': name
+			});
+			return this;
+		}; // end IF
+
+		this._adapters[ name ] = adapter;
+
+		return this;
+
+	},
+
+	get: function( name ) {
+		return this._adapters[ name ];
+	},
+
+	list: function() {
+		return _.keys( this._adapters );
+	},
+
+	validate: function( name, input, options ) {
+
+		var adapter = this.get( name );
+
+		if ( !adapter ) {
+			return 'ERROR:unrecognized adapter "' + name + '". Adapter must be one of the following options: ' + this.list();
+		}; // end IF
+
+		var error = adapter.validate( input, options || {} );
+
+		if ( error ) {
+			return 'ERROR:invalid input for adapter "' + name + '". ' + error;
+		}; // end IF
+
+	},
+
+	// Convert input into data series. Malformed input is reported as an INVALID_DATA error by the (optional) reporter, e.g., the collection parsing the input (see App.Utils.reporter); by default, App.Reports.
+	convert: function( name, input, options, reporter ) {
+
+		// Validate the input before attempting to convert:
+		var error = this.validate( name, input, options );
+
+		if ( error ) {
+			( reporter || App.Reports ).error( 'INVALID_DATA', error, {
+				'adapter': name
+			});
+			return null;
+		}; // end IF
+
+		var data = this.get( name ).convert( input, options || {} );
+
+		// Parse the x values as Dates:
+		if ( options && options.time ) {
+			this.parseTime( data, _.isString( options.time ) ? options.time : null );
+		}; // end IF
+
+		return data;
+
+	},
+
+	parseTime: function( data, format ) {
+
+		_.each( data, function( series ) {
+			_.each( series.dataSeries, function(d) {
+				d.x = App.Utils.parseTime( d.x, format );
+			});
+		});
+
+		return data;
+
+	}
+
+};
+
+
+
+//////////////////////
+// 	   ADAPTERS  	//
+//////////////////////
+
+
+// Row-oriented JSON: [ {'x': #, 'y': [#, #, ...]}, ... ]
+App.Adapters.register( 'rows', {
+
+	validate: function( input ) {
+
+		if ( !_.isArray( input ) || !input.length ) {
+			return 'Must be a nonempty array of rows.';
+		}; // end IF
+
+		var M, row;
+		for (var i = 0; i < input.length; i++) {
+			row = input[i];
+			if ( !_.isObject( row ) || !_.has( row, 'x' ) || !_.isArray( row.y ) ) {
+				return 'Row ' + i + ' must be an object with an "x" value and an array "y".';
+			}; // end IF
+			if ( i === 0 ) {
+				M = row.y.length;
+			} else if ( row.y.length !== M ) {
+				return 'Row ' + i + ' has ' + row.y.length + ' y values, but row 0 has ' + M + '. Use the "ragged" adapter for series of different lengths.';
+			}; // end IF/ELSEIF
+		}; // end FOR i
+
+	},
+
+	convert: function( input ) {
+		// Expand the data into M Nx1 object arrays (i.e., one array for each data series):
+		return App.Adapters.get( 'ragged' ).convert( input );
+	}
+
+});
+
+
+// Row-oriented JSON with y arrays of different lengths: [ {'x': #, 'y': [#, #]}, {'x': #, 'y': [#]}, ... ]
+App.Adapters.register( 'ragged', {
+
+	validate: function( input ) {
+
+		if ( !_.isArray( input ) || !input.length ) {
+			return 'Must be a nonempty array of rows.';
+		}; // end IF
+
+		var row;
+		for (var i = 0; i < input.length; i++) {
+			row = input[i];
+			if ( !_.isObject( row ) || !_.has( row, 'x' ) || !_.isArray( row.y ) ) {
+				return 'Row ' + i + ' must be an object with an "x" value and an array "y".';
+			}; // end IF
+		}; // end FOR i
+
+	},
+
+	convert: function( input ) {
+
+		var data = [];
+
+		// Determine the number of data series: (rows need not have the same number of y values)
+		var M = d3.max( input, function(d) { return d.y.length; } );
+
+		for (var m = 0; m < M; m++) {
+			data[m] = {
+				'name': 'line' + m,
+				'dataSeries': []
+			};
+		}; // end FOR m
+
+		// A row only contributes points to those series for which it has a y value:
+		_.each( input, function(d) {
+			for (var m = 0; m < d.y.length; m++) {
+				data[m]['dataSeries'].push( {
+					'x': d.x,
+					'y': d.y[m]
+				});
+			}; // end FOR m
+		});
+
+		return data;
+
+	}
+
+});
+
+
+// Column-oriented JSON: { 'x': [#, #, ...], 'name1': [#, #, ...], 'name2': [#, #, ...] }
+App.Adapters.register( 'columns', {
+
+	validate: function( input, options ) {
+
+		var xKey = options.x || 'x';
+
+		if ( !_.isObject( input ) || _.isArray( input ) ) {
+			return 'Must be an object whose values are column arrays.';
+		}; // end IF
+
+		if ( !_.isArray( input[ xKey ] ) ) {
+			return 'Missing "' + xKey + '" column.';
+		}; // end IF
+
+		var N = input[ xKey ].length,
+			keys = _.without( _.keys( input ), xKey );
+
+		if ( !keys.length ) {
+			return 'Must have at least one data column in addition to the "' + xKey + '" column.';
+		}; // end IF
+
+		for (var i = 0; i < keys.length; i++) {
+			if ( !_.isArray( input[ keys[i] ] ) ) {
+				return 'Column "' + keys[i] + '" must be an array.';
+			}; // end IF
+			if ( input[ keys[i] ].length !== N ) {
+				return 'Column "' + keys[i] + '" has ' + input[ keys[i] ].length + ' values, but the "' + xKey + '" column has ' + N + '.';
+			}; // end IF
+		}; // end FOR i
+
+	},
+
+	convert: function( input, options ) {
+
+		var xKey = options.x || 'x',
+			x = input[ xKey ];
+
+		return _.map( _.without( _.keys( input ), xKey ), function( key ) {
+			return {
+				'name': key,
+				'dataSeries': _.map( input[ key ], function( y, i ) {
+					return {
+						'x': x[i],
+						'y': y
+					};
+				})
+			};
+		});
+
+	}
+
+});
+
+
+// Array of named series: [ {'name': '', 'values': [ {'x': #, 'y': #}, ... ]}, ... ]
+App.Adapters.register( 'series', {
+
+	validate: function( input ) {
+
+		if ( !_.isArray( input ) || !input.length ) {
+			return 'Must be a nonempty array of series.';
+		}; // end IF
+
+		var series;
+		for (var i = 0; i < input.length; i++) {
+			series = input[i];
+			if ( !_.isObject( series ) || !_.isString( series.name ) || !_.isArray( series.values ) ) {
+				return 'Series ' + i + ' must be an object with a string "name" and an array "values".';
+			}; // end IF
+			for (var j = 0; j < series.values.length; j++) {
+				if ( !_.isObject( series.values[j] ) || !_.has( series.values[j], 'x' ) || !_.has( series.values[j], 'y' ) ) {
+					return 'Value ' + j + ' of series "' + series.name + '" must be an object with "x" and "y" keys.';
+				}; // end IF
+			}; // end FOR j
+		}; // end FOR i
+
+	},
+
+	convert: function( input ) {
+		return _.map( input, function( series ) {
+			return {
+				'name': series.name,
+				'dataSeries': _.map( series.values, function(d) {
+					return {
+						'x': d.x,
+						'y': d.y
+					};
+				})
+			};
+		});
+	}
+
+});
+
+
+// Delimited text with a header row: the x column is either named by options.x or is the first column; every other column is a data series.
+_.each( ['csv', 'tsv'], function( format ) {
+
+	App.Adapters.register( format, {
+
+		validate: function( input, options ) {
+
+			if ( !_.isString( input ) ) {
+				return 'Must be a string of ' + format.toUpperCase() + ' text.';
+			}; // end IF
+
+			var rows = d3[ format ].parseRows( input );
+
+			if ( rows.length < 2 ) {
+				return 'Must have a header row and at least one data row.';
+			}; // end IF
+
+			var header = rows[0];
+
+			if ( header.length < 2 ) {
+				return 'Header row must name an x column and at least one data column.';
+			}; // end IF
+
+			if ( options.x && header.indexOf( options.x ) == -1 ) {
+				return 'Header row does not contain the x column "' + options.x + '".';
+			}; // end IF
+
+			// Rows may be short, as a trailing empty field is dropped when parsing, but not long:
+			for (var i = 1; i < rows.length; i++) {
+				if ( rows[i].length > header.length ) {
+					return 'Row ' + i + ' has ' + rows[i].length + ' fields, but the header row has ' + header.length + '.';
+				}; // end IF
+			}; // end FOR i
+
+		},
+
+		convert: function( input, options ) {
+
+			var rows = d3[ format ].parseRows( input ),
+				header = rows.shift(),
+				xIndex = options.x ? header.indexOf( options.x ) : 0;
+
+			// Time values are left as strings to be parsed (see App.Adapters.convert):
+			var xValue = function( row ) {
+				return options.time ? row[ xIndex ] : +row[ xIndex ];
+			};
+
+			var data = [];
+			_.each( header, function( name, j ) {
+				if ( j === xIndex ) {
+					return;
+				}; // end IF
+				var dataSeries = [];
+				_.each( rows, function( row ) {
+					// Empty (and missing trailing) fields do not contribute a point:
+					if ( row[j] !== '' && row[j] !== undefined ) {
+						dataSeries.push( {
+							'x': xValue( row ),
+							'y': +row[j]
+						});
+					}; // end IF
+				});
+				data.push( {
+					'name': name,
+					'dataSeries': dataSeries
+				});
+			});
+
+			return data;
+
+		}
+
+	});
+
+});
@@ -0,0 +1,565 @@
+/**
+*	Streaming data sources: append live data points to App.Collections.Data
+*
+*
+*
+*	NOTES:
+*		[1] A data source receives messages from a transport (WebSocket, Server-Sent Events or periodic HTTP polling), parses each message into data points and appends those points to the data series of a collection.
+*		[2] Messages are JSON of one of the following forms (or an array of either): a row, {'x': #, 'y': [#, #, ...]}, where each y value is appended to the data series having the same index; or a point, {'series': id|index, 'x': #, 'y': #}. A custom parse function may be provided for other formats.
+*		[3] Points are appended to a data series using backbone-nested's add method, such that listeners bound to 'change:dataSeries' (see ListenerLayer.listen) fire once per data series per flush.
+*		[4] Transports are registered on App.DataSource.transports. A transport is a function which accepts the data source and returns an object having a close method.
+*		[5] For local testing, App.DataSource.Server stands in for a streaming server: it provides WebSocket and EventSource constructors and a polling request function, which may be passed as data source options; e.g., new App.DataSource( {transport: 'websocket', url: 'ws://local', WebSocket: server.WebSocket} ).
+*
+*
+*
+*	 Copyright (c) 2026. Backbone.js + D3.js contributors.
+*	 License: MIT (http://www.opensource.org/licenses/mit-license.php)
+*
+*/
+
+
+App.DataSource = function( options ) {
+
+	this.options = _.extend( {}, this.defaults, options );
+	this.options.reconnect = _.defaults( {}, options && options.reconnect, this.defaults.reconnect );
+
+	// The collection to which data points are appended:
+	this.collection = this.options.collection;
+
+	// Initialize the buffer of points awaiting a flush:
+	this._buffer = [];
+
+	// Initialize the reconnect state:
+	this._attempts = 0;
+	this._stopped = true;
+
+	this.initialize.apply( this, arguments );
+
+};
+
+
+_.extend( App.DataSource.prototype, Backbone.Events, {
+
+	defaults: {
+		'transport': 'websocket', // options: websocket, eventsource, poll (or any other registered transport)
+		'url': '',
+		'interval': 1000, // polling interval [ms]
+		'request': null, // polling request function, function( url, clbk ), where clbk accepts an error and the parsed JSON; default: d3.json
+		'batch': 0, // time [ms] over which incoming points are batched before being appended; 0 appends upon each message
+		'window': false, // if true, the oldest point of a data series is removed for each appended point, keeping the series length constant. Not needed when the chart sets windowSize or windowDuration, as the window mode then evicts points itself.
+		'attribute': 'dataSeries', // data series attribute holding the data points
+		'reconnect': {
+			'delay': 1000, // initial delay [ms]
+			'maxDelay': 30000, // maximum delay [ms]
+			'factor': 2, // exponential backoff factor
+			'retries': Infinity
+		}
+	},
+
+	initialize: function( options ) {
+		//
+	},
+
+	start: function() {
+
+		var transport = App.DataSource.transports[ this.options.transport ];
+
+		if ( !transport ) {
+			this.report( 'error', 'UNKNOWN_TRANSPORT', 'unrecognized transport "' + this.options.transport + '". Transport must be one of the following options: ' + _.keys( App.DataSource.transports ), {
+				'transport': this.options.transport
+			});
+			return this;
+		}; // end IF
+
+		this._stopped = false;
+
+		try {
+			this._connection = transport( this );
+		} catch ( error ) {
+			// E.g., the WebSocket constructor throws for a malformed url; treat as a failed connection, such that the source retries with backoff:
+			this.failed( error );
+		}; // end TRY/CATCH
+
+		return this;
+
+	},
+
+	stop: function() {
+
+		this._stopped = true;
+
+		// Cancel any pending reconnect or flush:
+		clearTimeout( this._reconnectTimer );
+		clearTimeout( this._flushTimer );
+		this._flushTimer = null;
+
+		if ( this._connection ) {
+			this._connection.close();
+			this._connection = null;
+		}; // end IF
+
+		// Append whatever has already been received:
+		this.flush();
+
+		return this;
+
+	},
+
+	// Report a problem: reports are made by the collection, so that charts bound to it surface them (see App.Utils.reporter); without a collection, by App.Reports:
+	report: function( level, code, message, context ) {
+		( this.collection || App.Reports )[ level ]( code, message, context );
+		return this;
+	},
+
+	// Called by transports upon (re)establishing a connection:
+	opened: function() {
+		this._attempts = 0;
+		this.trigger( 'open', this );
+	},
+
+	// Called by transports when a connection is lost or a request fails:
+	failed: function( error ) {
+
+		var props = this.options.reconnect,
+			delay;
+
+		this._connection = null;
+		this.trigger( 'error', this, error );
+
+		if ( this._stopped ) {
+			return;
+		}; // end IF
+
+		if ( this._attempts >= props.retries ) {
+			this.report( 'error', 'SOURCE_FAILED', 'data source "' + this.options.url + '" failed after ' + this._attempts + ' reconnect attempts.', {
+				'url': this.options.url,
+				'attempts': this._attempts
+			});
+			this._stopped = true;
+			this.trigger( 'close', this );
+			return;
+		}; // end IF
+
+		// Exponential backoff:
+		delay = Math.min( props.maxDelay, props.delay * Math.pow( props.factor, this._attempts ) );
+		this._attempts++;
+
+		this.trigger( 'reconnect', this, this._attempts, delay );
+
+		var that = this;
+		this._reconnectTimer = setTimeout( function() {
+			that.start();
+		}, delay );
+
+	},
+
+	// Called by transports upon receiving a message:
+	receive: function( message ) {
+
+		var points = this.parse( message );
+
+		if ( !points ) {
+			this.report( 'warning', 'INVALID_MESSAGE', 'unable to parse data source message. Message ignored.', {
+				'url': this.options.url
+			});
+			return this;
+		}; // end IF
+
+		this.push( points );
+
+		return this;
+
+	},
+
+	// Convert a message into an array of points, each of the form {'series': id|index, 'x': #, 'y': #}:
+	parse: function( message ) {
+
+		if ( this.options.parse ) {
+			return this.options.parse( message );
+		}; // end IF
+
+		var json = message;
+		if ( _.isString( message ) ) {
+			try {
+				json = JSON.parse( message );
+			} catch ( err ) {
+				return null;
+			}; // end TRY/CATCH
+		}; // end IF
+
+		if ( !_.isArray( json ) ) {
+			json = [ json ];
+		}; // end IF
+
+		var points = [];
+		for (var i = 0; i < json.length; i++) {
+			if ( !_.isObject( json[i] ) || !_.has( json[i], 'x' ) ) {
+				return null;
+			}; // end IF
+			if ( _.isArray( json[i].y ) ) {
+				// Row: one point per data series:
+				for (var m = 0; m < json[i].y.length; m++) {
+					points.push( {
+						'series': m,
+						'x': json[i].x,
+						'y': json[i].y[m]
+					});
+				}; // end FOR m
+			} else {
+				points.push( json[i] );
+			}; // end IF/ELSE
+		}; // end FOR i
+
+		return points;
+
+	},
+
+	// Queue points for appending:
+	push: function( points ) {
+
+		this._buffer = this._buffer.concat( points );
+
+		if ( !this.options.batch ) {
+			return this.flush();
+		}; // end IF
+
+		if ( !this._flushTimer ) {
+			var that = this;
+			this._flushTimer = setTimeout( function() {
+				that._flushTimer = null;
+				that.flush();
+			}, this.options.batch );
+		}; // end IF
+
+		return this;
+
+	},
+
+	// Append all queued points to their data series:
+	flush: function() {
+
+		var collection = this.collection,
+			attribute = this.options.attribute,
+			slide = this.options.window,
+			source = this,
+			groups, series, points;
+
+		if ( !this._buffer.length ) {
+			return this;
+		}; // end IF
+
+		// Group the points by data series:
+		groups = _.groupBy( this._buffer, 'series' );
+		this._buffer = [];
+
+		_.each( groups, function( group, key ) {
+
+			series = collection.get( key ) || collection.at( +key );
+
+			if ( !series ) {
+				source.report( 'warning', 'UNKNOWN_SERIES', 'unrecognized data series "' + key + '". Points ignored.', {
+					'series': key
+				});
+				return;
+			}; // end IF
+
+			points = _.map( group, function(d) {
+				return _.omit( d, 'series' );
+			});
+
+			// Only the last addition notifies listeners, so that each data series updates once per flush:
+			_.each( points, function( point, i ) {
+				series.add( attribute, point, { silent: i < points.length-1 } );
+			});
+
+			if ( slide ) {
+				// Remove the oldest points silently; as for the sliding window, the listener sees the extra point as the offscreen buffer:
+				_.each( points, function() {
+					series.remove( attribute + '[0]', { silent: true } );
+				});
+			}; // end IF
+
+		});
+
+		this.trigger( 'data', this );
+
+		return this;
+
+	}
+
+});
+
+
+// Allow the data source to be extended, as with other Backbone classes:
+App.DataSource.extend = Backbone.Model.extend;
+
+
+
+//////////////////////
+// 	  TRANSPORTS  	//
+//////////////////////
+
+
+App.DataSource.transports = {
+
+	websocket: function( source ) {
+
+		var Socket = source.options.WebSocket || window.WebSocket,
+			socket = new Socket( source.options.url ),
+			closed = false;
+
+		socket.onopen = function() {
+			source.opened();
+		};
+
+		socket.onmessage = function( event ) {
+			source.receive( event.data );
+		};
+
+		socket.onclose = function( event ) {
+			if ( !closed ) {
+				source.failed( event );
+			}; // end IF
+		};
+
+		return {
+			close: function() {
+				closed = true;
+				socket.close();
+			}
+		};
+
+	},
+
+	eventsource: function( source ) {
+
+		var Source = source.options.EventSource || window.EventSource,
+			events = new Source( source.options.url );
+
+		events.onopen = function() {
+			source.opened();
+		};
+
+		events.onmessage = function( event ) {
+			source.receive( event.data );
+		};
+
+		events.onerror = function( event ) {
+			// The browser retries on its own unless the connection has been closed:
+			if ( events.readyState === 2 ) {
+				source.failed( event );
+			}; // end IF
+		};
+
+		return {
+			close: function() {
+				events.close();
+			}
+		};
+
+	},
+
+	poll: function( source ) {
+
+		var timer, 
+			closed = false,
+			connected = false;
+
+		request();
+
+		return {
+			close: function() {
+				closed = true;
+				clearTimeout( timer );
+			}
+		};
+
+		function request() {
+			( source.options.request || d3.json )( source.options.url, function( error, json ) {
+				if ( closed ) {
+					return;
+				}; // end IF
+				if ( error ) {
+					closed = true;
+					source.failed( error );
+					return;
+				}; // end IF
+				if ( !connected ) {
+					connected = true;
+					source.opened();
+				}; // end IF
+				source.receive( json );
+				timer = setTimeout( request, source.options.interval );
+			});
+		}; // end FUNCTION request()
+
+	}
+
+};
+
+
+
+//////////////////////
+// 	  STAND-IN   	//
+//////////////////////
+
+
+// A local stand-in for a streaming server, which exercises the transports without a network: once a client connects, a message is sent to all connected clients each interval.
+App.DataSource.Server = function( options ) {
+
+	var server = this;
+
+	this.options = _.extend( {}, this.defaults, options );
+
+	// Connected clients:
+	this._clients = [];
+
+	// Number of messages sent:
+	this._count = 0;
+
+	// WebSocket constructor: (as in browsers, a url lacking the ws or wss scheme throws)
+	this.WebSocket = function( url ) {
+		if ( !/^wss?:\/\//.test( url ) ) {
+			throw new SyntaxError( 'invalid WebSocket url "' + url + '".' );
+		}; // end IF
+		server.connect( this, 'websocket' );
+	};
+
+	this.WebSocket.prototype.close = function() {
+		server.disconnect( this );
+	};
+
+	// EventSource constructor:
+	this.EventSource = function( url ) {
+		this.readyState = 0;
+		server.connect( this, 'eventsource' );
+	};
+
+	this.EventSource.prototype.close = function() {
+		this.readyState = 2;
+		server.disconnect( this );
+	};
+
+	// Polling request function: (see the request data source option)
+	this.request = function( url, clbk ) {
+		setTimeout( function() {
+			if ( server.options.refuse ) {
+				clbk( new Error( 'connection refused' ) );
+			} else {
+				clbk( null, server.message() );
+			}; // end IF/ELSE
+		}, 0 );
+	};
+
+};
+
+
+_.extend( App.DataSource.Server.prototype, {
+
+	defaults: {
+		'interval': 1000, // time between messages [ms]
+		'series': 1, // number of data series for which the default message provides values
+		'message': null, // function( i ) returning the i-th message; default: a row, {'x': i, 'y': [...]}, of random values
+		'refuse': false // if true, connections are refused
+	},
+
+	// Return the next message:
+	message: function() {
+
+		var i = this._count++;
+
+		if ( this.options.message ) {
+			return this.options.message( i );
+		}; // end IF
+
+		return {
+			'x': i,
+			'y': _.map( _.range( this.options.series ), function() {
+				return Math.random();
+			})
+		};
+
+	},
+
+	// Send a message to all connected clients:
+	send: function( message ) {
+
+		var data = JSON.stringify( message || this.message() );
+
+		_.each( this._clients, function( client ) {
+			if ( client.onmessage ) {
+				client.onmessage( { 'data': data } );
+			}; // end IF
+		});
+
+		return this;
+
+	},
+
+	connect: function( client, type ) {
+
+		var server = this;
+
+		client._type = type;
+
+		// Connections open (or are refused) asynchronously:
+		setTimeout( function() {
+
+			if ( server.options.refuse ) {
+				server.close( client );
+				return;
+			}; // end IF
+
+			server._clients.push( client );
+			client.readyState = 1;
+			if ( client.onopen ) {
+				client.onopen( {} );
+			}; // end IF
+
+			if ( !server._timer ) {
+				server._timer = setInterval( function() {
+					server.send();
+				}, server.options.interval );
+			}; // end IF
+
+		}, 0 );
+
+	},
+
+	disconnect: function( client ) {
+
+		this._clients = _.without( this._clients, client );
+
+		if ( !this._clients.length ) {
+			clearInterval( this._timer );
+			this._timer = null;
+		}; // end IF
+
+	},
+
+	// Close a connection from the server side, notifying the client as browsers do:
+	close: function( client ) {
+
+		this.disconnect( client );
+
+		if ( client._type === 'eventsource' ) {
+			client.readyState = 2;
+			if ( client.onerror ) {
+				client.onerror( {} );
+			}; // end IF
+		} else if ( client.onclose ) {
+			client.onclose( { 'code': 1006 } );
+		}; // end IF/ELSEIF
+
+	},
+
+	// Drop all connections; e.g., to exercise reconnects:
+	drop: function() {
+
+		_.each( this._clients.slice(), this.close, this );
+
+		return this;
+
+	}
+
+});
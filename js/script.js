@@ -30,6 +30,11 @@ $(function() {
 			// Sortable time series charts:
 			var numCharts = 10;
 			sortableCharts( numCharts );
+			break;
+		case 3:
+			// Streaming time series chart, fed by a local stand-in server:
+			streamingChart();
+			break;
 		default:
 			//
 			break;
@@ -45,125 +50,71 @@ $(function() {
 
 function singleChart() {
 
-	// Set various options for the graph:
+	// Describe the graph declaratively: (see App.Spec)
 	var element = 'body';
-	var options = {
+	var spec = {
 		el: element,
-		data: 'data/example2.json',
+		layer: 'AnimationLayer',
+		data: {
+			url: 'data/example2.json',
+			adapter: 'rows'
+		},
 		chart: {
 			'canvas': {
-				'width': $(element).width()/2,
 				'height': 300
 			},
+			'responsive': 0.5, // half the width of the element, tracking window resizes
 			'yDomain': [0, 'max'],
 			'brush': true,
 			'interpolation': 'linear', //monotone',
-			'animation': 'arise',
+			'animation': 'arise'
+		},
+		annotations: {
 			'title': 'Title',
 			'caption': 'Figure 1. <span class="figure-desc">Short description</span>. This is a figure caption.',
-			'legend': ['line0', 'line1', 'line2'],
+			'legend': true,
 			'dataCursor': true
 		}
 	};
 
 
 	// Generate our graph:
-	controller( options );
-
-
+	App.Spec.build( spec, function( chart ) {
 
-	// Create our flow function:
-	function controller( options ) {
-
-		// Get our data path:
-		var filePath = options.data;
-
-		// Initialize our model; once finished render our view.
-		model( filePath, options, view );
-
-	}; // end FUNCTION controller()
-
-
-	function model( filePath, options, clbk ) {
-
-		// Initialize a dynamic model with data and chart sub-models:
-		var _model = new Backbone.Model();
+		// Run our simulator:
+		//setTimeout( simulate( chart.collection, 1100 ), 1000 ); 
 
-		// Instantiate the Chart Model:
-		var _chart = new App.Models.Chart();
-
-		// Add the Chart Model to our dynamic model:
-		_model.set('chart', _chart);
-
-		// Demonstrate that we can set options even after setting the dynamic model:
-		_chart.set( options.chart );
-
-		// Load our data set:
-		d3.json( filePath, function(json) {
-
-			// Convert the JSON to an array:
-			var dataArray = json2array( json );
-
-			// Instantiate the Data Model:
-			var _data = new App.Collections.Data( dataArray );
-
-			// Add the Data Model to our dynamic model:
-			_model.set('data', _data);
-
-			// Run our callback, passing along our dynamic model and options:
-			clbk( _model, options );
-
-			// Run our simulator:
-			//setTimeout( simulate( _data, 1100 ), 1000 ); 
-
-		});
-
-		function simulate( collection, delay ) {
-
-			var counter = 1,
-				randn = d3.random.normal();
-			setInterval( function() {
-
-				var x = 5.5 + counter*0.02;
-				var data, yMean, yStd;
-				for (var m = 0; m < collection.length; m++) {
-
-					data = collection.at(m).get('dataSeries');
-
-					yMean = d3.mean(data, function(d) { return d.y; });
-					yStd = 1 / data.length * d3.sum(data , function(d) { return Math.pow(d.y - yMean, 2); });
-					yStd = Math.sqrt(yStd);
-
-					collection.at(m).add('dataSeries', {
-						'x': x,
-						'y': yMean + yStd * randn()
-					});
-					collection.at(m).remove('dataSeries[0]', {silent: true});
-				}; // end FOR m
+	});
 
-				counter++;
 
-			}, delay);
+	function simulate( collection, delay ) {
 
-		}; // end FUNCTION simulate( collection, delay )
+		var counter = 1,
+			randn = d3.random.normal();
+		setInterval( function() {
 
-	}; // end FUNCTION model()
+			var x = 5.5 + counter*0.02;
+			var data, yMean, yStd;
+			for (var m = 0; m < collection.length; m++) {
 
+				data = collection.at(m).get('dataSeries');
 
+				yMean = d3.mean(data, function(d) { return d.y; });
+				yStd = 1 / data.length * d3.sum(data , function(d) { return Math.pow(d.y - yMean, 2); });
+				yStd = Math.sqrt(yStd);
 
-	function view( model, options ) {
+				collection.at(m).add('dataSeries', {
+					'x': x,
+					'y': yMean + yStd * randn()
+				});
+				collection.at(m).remove('dataSeries[0]', {silent: true});
+			}; // end FOR m
 
-		// The DOM element into which we want to draw the chart:
-		var element = options.el;
+			counter++;
 
-		// Instantiate our view and render:
-		var chart = new App.Views.AnimationLayer( {
-			el: element,
-			collection: model.get('data'),
-			model: model.get('chart')
-		}).render();
+		}, delay);
 
-	}; // end FUNCTION view()
+	}; // end FUNCTION simulate( collection, delay )
 
 }; // end FUNCTION singleChart()
 
@@ -184,18 +135,19 @@ function multipleCharts( numCharts ) {
 	var options = {
 		el: element,
 		data: 'data/example2.json',
+		adapter: 'rows',
 		chart: {
 			'canvas': {
-				'width': $(element).width()/2,
 				'height': 300
 			},
+			'responsive': 0.5, // half the width of the element, tracking window resizes
 			'yDomain': [0, 'max'],
 			'brush': true,
 			'interpolation': 'monotone',
 			'animation': 'arise',
 			'title': 'Title',
 			'caption': caption,
-			'legend': ['line0', 'line1', 'line2'],
+			'legend': true,
 			'dataCursor': true
 		}
 	};
@@ -220,11 +172,8 @@ function multipleCharts( numCharts ) {
 			// Update options:
 			_chartModels[counter].set( options.chart );
 
-			// Convert the JSON to an array:
-			var dataArray = json2array( json );
-
-			// Instantiate the Data Model:
-			_dataModels.push( new App.Collections.Data( dataArray ) );
+			// Instantiate the Data Model, converting the row-oriented JSON into data series:
+			_dataModels.push( new App.Collections.Data( json, { parse: true, adapter: options.adapter } ) );
 
 			// Add the Data Model to our dynamic model:
 			_models[counter].set('data', _dataModels[counter]);
@@ -264,57 +213,35 @@ function sortableCharts( numCharts ) {
 
 
 
+function streamingChart() {
 
-
-
-
-
-
-
-
-
-
-
-
-
-function json2array( json ) {
-	//
-	// Converter to adhere to DataCollection API.
-	//
-	//	* This helper will probably be unique to raw data and application.
-	//
-
-	// Here, the data is of the form:
-	//	{
-	//		'x': #,
-	//		'y': []	
-	//	}
-	//
-
-	// Expand the data into M Nx1 object arrays (i.e., one array for each data series)
-
-	var data = [];
-
-	// Determine the number of data series:
-	// NOTE: We assume that each value for 'y' is the same length
-	var M = json[0].y.length; 
-	
-	// Initialize the array:
-	for (var m = 0; m < M; m++) {
-		data[m] = {
-			'dataSeries': []
-		};
-	}; // end FOR m
-
-	_.each( json, function(d,i)  {
-		for (var m = 0; m < M; m++) {
-			data[m]['dataSeries'][i] = {
-				'x': d.x, 
-				'y': d.y[m]
-			};
-		}; // end FOR m
+	// Stand in for a WebSocket server sending a row of three values every half second:
+	var server = new App.DataSource.Server( {
+		'interval': 500,
+		'series': 3
 	});
 
-	return data;
-
-}; // end FUNCTION json2array( json )
\ No newline at end of file
+	var data = new App.Collections.Data( _.map( _.range( 3 ), function() {
+		return { 'dataSeries': [ {'x': -1, 'y': Math.random()} ] };
+	}) );
+
+	new App.Views.AnimationLayer( {
+		el: 'body',
+		collection: data,
+		model: new App.Models.Chart( {
+			'canvas': { 'height': 300 },
+			'windowSize': 50, // keep the 50 most recent points of each data series
+			'legend': true,
+			'dataCursor': true
+		})
+	}).render();
+
+	// Attach the data source, appending the points received to the data series:
+	new App.DataSource( {
+		'collection': data,
+		'transport': 'websocket',
+		'url': 'ws://localhost',
+		'WebSocket': server.WebSocket
+	}).start();
+
+}; // end FUNCTION streamingChart()
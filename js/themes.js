@@ -0,0 +1,242 @@
+/**
+*	Themes: named sets of colors, fonts and stroke styles, selectable per chart via the 'theme' chart option
+*
+*
+*
+*	NOTES:
+*		[1] A theme is an object of the following form; omitted settings are taken from the 'light' theme:
+*
+*				{
+*					'palette': [...], // data series colors
+*					'background': '', // chart background
+*					'font': { 'family': '', 'size': '', 'color': '' },
+*					'axis': { 'stroke': '', 'text': '' },
+*					'grid': { 'stroke': '', 'opacity': # },
+*					'line': { 'width': '' },
+*					'band': { 'opacity': # },
+*					'tooltip': { 'background': '', 'color': '' },
+*					'brush': { 'background': '', 'extent': '', 'stroke': '' }
+*				}
+*
+*		[2] Each theme is translated into a stylesheet, scoped by the class 'theme-{name}', which is injected into the document upon first use. Charts apply their theme by classing their <figure> container, so elements created after rendering (e.g., axis ticks) are styled as well.
+*		[3] Additional themes may be registered: App.Themes.register( 'name', {...} ). Registering an existing theme updates any charts using it.
+*
+*
+*
+*	 Copyright (c) 2026. Backbone.js + D3.js contributors.
+*	 License: MIT (http://www.opensource.org/licenses/mit-license.php)
+*
+*/
+
+
+App.Themes = {
+
+	// Registered themes:
+	_themes: {},
+
+	register: function( name, theme ) {
+
+		if ( !_.isString( name ) || !/^[\w-]+$/.test( name ) || !_.isObject( theme ) ) {
+			App.Reports.error( 'INVALID_THEME', 'invalid theme. A theme must have a name consisting of letters, digits, underscores and hyphens and be an object.', {
+				'theme': name
+			});
+			return this;
+		}; // end IF
+
+		// Omitted settings are taken from the light theme:
+		this._themes[ name ] = $.extend( true, {}, this._themes.light, theme );
+
+		// Update the stylesheet of a theme already in use:
+		if ( document.getElementById( 'theme-' + name ) ) {
+			d3.select( '#theme-' + name ).text( this.css( name ) );
+		}; // end IF
+
+		return this;
+
+	},
+
+	get: function( name ) {
+		return this._themes[ name ];
+	},
+
+	list: function() {
+		return _.keys( this._themes );
+	},
+
+	// Inject the stylesheet for a theme, if not already present:
+	inject: function( name ) {
+
+		if ( !this._themes[ name ] || document.getElementById( 'theme-' + name ) ) {
+			return this;
+		}; // end IF
+
+		d3.select( 'head' ).append( 'style' )
+			.attr( 'id', 'theme-' + name )
+			.attr( 'type', 'text/css' )
+			.text( this.css( name ) );
+
+		return this;
+
+	},
+
+	// Translate a theme into CSS rules scoped by the theme class:
+	css: function( name ) {
+
+		var theme = this._themes[ name ],
+			scope = '.mvcChart.theme-' + name;
+
+		var rules = [
+			[ '', {
+				'background': theme.background,
+				'color': theme.font.color,
+				'font-family': theme.font.family
+			}],
+			[ ' .base', {
+				'fill': theme.font.color,
+				'font-family': theme.font.family,
+				'font-size': theme.font.size
+			}],
+			[ ' .axis path, ' + scope + ' .axis line', {
+				'stroke': theme.axis.stroke
+			}],
+			[ ' .axis text', {
+				'fill': theme.axis.text
+			}],
+			[ ' .grid line', {
+				'stroke': theme.grid.stroke,
+				'stroke-opacity': theme.grid.opacity
+			}],
+			[ ' .line', {
+				'stroke-width': theme.line.width
+			}],
+			[ ' .band', {
+				'fill-opacity': theme.band.opacity
+			}],
+			[ ' .tooltip', {
+				'background-color': theme.tooltip.background,
+				'color': theme.tooltip.color
+			}],
+			[ ' .brush .bars .background', {
+				'fill': theme.brush.background
+			}],
+			[ ' .brush .extent', {
+				'fill': theme.brush.extent,
+				'stroke': theme.brush.stroke
+			}],
+			[ ' .brush .axis line', {
+				'stroke': theme.axis.stroke
+			}]
+		];
+
+		return _.map( rules, function( rule ) {
+			var declarations = _.map( rule[1], function( value, property ) {
+				return '\t' + property + ': ' + value + ';';
+			});
+			return scope + rule[0] + ' {\n' + declarations.join( '\n' ) + '\n}';
+		}).join( '\n\n' );
+
+	}
+
+};
+
+
+
+//////////////////////
+// 	    THEMES  	//
+//////////////////////
+
+
+// The default theme: (matches css/style.css)
+App.Themes._themes.light = {
+	'palette': d3.scale.category10().range(),
+	'background': 'transparent',
+	'font': {
+		'family': "'Cabin', 'Ropa Sans', 'Helvetica Neue', Helvetica, sans-serif",
+		'size': '14px',
+		'color': '#474747'
+	},
+	'axis': {
+		'stroke': '#aaa',
+		'text': '#474747'
+	},
+	'grid': {
+		'stroke': '#ddd',
+		'opacity': 0.7
+	},
+	'line': {
+		'width': '2px'
+	},
+	'band': {
+		'opacity': 0.2
+	},
+	'tooltip': {
+		'background': 'rgba(0,0,0,0.7)',
+		'color': 'rgb(245,245,245)'
+	},
+	'brush': {
+		'background': 'rgb(200,200,200)',
+		'extent': 'rgba(0,0,0,0.125)',
+		'stroke': '#fff'
+	}
+};
+
+
+App.Themes.register( 'dark', {
+	'palette': ['#4fc3f7', '#ffb74d', '#81c784', '#e57373', '#ba68c8', '#a1887f', '#f06292', '#e0e0e0', '#dce775', '#4dd0e1'],
+	'background': '#222',
+	'font': {
+		'color': '#ddd'
+	},
+	'axis': {
+		'stroke': '#666',
+		'text': '#bbb'
+	},
+	'grid': {
+		'stroke': '#444'
+	},
+	'band': {
+		'opacity': 0.3
+	},
+	'tooltip': {
+		'background': 'rgba(245,245,245,0.9)',
+		'color': '#222'
+	},
+	'brush': {
+		'background': '#333',
+		'extent': 'rgba(255,255,255,0.2)',
+		'stroke': '#222'
+	}
+});
+
+
+App.Themes.register( 'high-contrast', {
+	'palette': ['#000000', '#e69f00', '#0072b2', '#d55e00', '#009e73', '#cc79a7', '#56b4e9', '#f0e442'], // colorblind-safe (Okabe-Ito)
+	'background': '#fff',
+	'font': {
+		'size': '16px',
+		'color': '#000'
+	},
+	'axis': {
+		'stroke': '#000',
+		'text': '#000'
+	},
+	'grid': {
+		'stroke': '#000',
+		'opacity': 0.3
+	},
+	'line': {
+		'width': '3px'
+	},
+	'band': {
+		'opacity': 0.35
+	},
+	'tooltip': {
+		'background': '#000',
+		'color': '#fff'
+	},
+	'brush': {
+		'background': '#fff',
+		'extent': 'rgba(0,0,0,0.3)',
+		'stroke': '#000'
+	}
+});
@@ -13,20 +13,20 @@
 *
 *	TODO:
 *		[1] Decouple view 'data' from view itself. Create a chart model (?) --> a work in progress
-*		[2] x and y accessors? Are they necessary? Could this allow for user's to define their own input data structure? e.g., array versus associative array?
+*		[2] x and y accessors? Are they necessary? Could this allow for user's to define their own input data structure? e.g., array versus associative array? --> Yes. See the xAccessor, yAccessor, seriesAccessor and keyAccessor chart options.
 *		[3] Replace underscore with lo-dash (?)
 *		[4] Stipulate updates
-*		[5] Update defaults and validation so that either (a) backbone-nested can be used or (b) such that the config levels do not extend beyond 1, e.g., marginLeft: 10 versus margin: {left: 10, ...}
-*		[6] Change axis implementation. Currently, external modification does not make sense, as axis is translated beyond user control
+*		[5] Update defaults and validation so that either (a) backbone-nested can be used or (b) such that the config levels do not extend beyond 1, e.g., marginLeft: 10 versus margin: {left: 10, ...} --> (a). See App.Models.Chart.set and App.Models.Chart.get.
+*		[6] Change axis implementation. Currently, external modification does not make sense, as axis is translated beyond user control --> Each axis is configured via the 'axes' chart option: orientation, ticks, tick format, size and rotation, label offset and gridlines. See ChartArea.axis and ChartArea.placeAxes.
 *		[7] Provide validation for internal methods / variables
-*		[8] Provide validation for animation and transition settings
-*		[9] Refactor validation code to be more compact
+*		[8] Provide validation for animation and transition settings --> Done. See App.Schema.
+*		[9] Refactor validation code to be more compact --> Validation is now declarative. See App.Schema.
 *		[10] Ensure standard data representation
-*		[11] For real-time sliding window, need to establish a one data point buffer so that the left data edge matches the chart viewport. --> Two ways: 1) create an explicit buffer; 2) fiddle with the collection updates so that the listener fires only on add but not remove. Currently, this is how the buffer is maintained. The downside is that the last time series legend lags.
-*		[12] Switch the order such that axes plotted on top of data (?)
+*		[11] For real-time sliding window, need to establish a one data point buffer so that the left data edge matches the chart viewport. --> Two ways: 1) create an explicit buffer; 2) fiddle with the collection updates so that the listener fires only on add but not remove. Currently, this is how the buffer is maintained. The downside is that the last time series legend lags. --> Explicit buffers are created when windowSize or windowDuration is set, and updates are coalesced so all series update together.
+*		[12] Switch the order such that axes plotted on top of data (?) --> Done. Axes are drawn above the data; each layer's elements are grouped within the chart area and stacked by z-index. See App.Layers.
 *		[13] Resolve the tension between the animation layer and, say, the data layer with regard to transitions. Question to answer: are transitions something fundamental to the graph (to its normal functioning)? If so, then transitions in the data layer; otherwise, something extra (gratuitus). Add/remove methods for new dataseries.
-*		[14] Output error messages to a pop up dialog. Currently just logged to console.
-*		[15] Add updates for adding and removing time series from the plot
+*		[14] Output error messages to a pop up dialog. Currently just logged to console. --> Charts emit 'error' and 'warning' events carrying codes, which may be listed in an in-chart panel. See App.Models.Chart.report and the errorPanel chart option.
+*		[15] Add updates for adding and removing time series from the plot --> Done. See ListenerLayer.updateSeries.
 *		[16] 
 *		[17] 
 *
@@ -38,7 +38,7 @@
 *
 *
 *	NOTES:
-*		[1] Note that, on initialization and set, the full object must be specified for setting an attribute; e.g., margin: {top: , bottom: , left: , right: }
+*		[1] Note that, on initialization and set, the full object must be specified for setting an attribute; e.g., margin: {top: , bottom: , left: , right: } --> No longer. Partial objects are merged with the current values, and dotted paths are accepted; e.g., set('margin.left', 120) or set({transition: {onUpdate: {duration: 250}}}). Changed nested keys fire granular events; e.g., 'change:margin.left'.
 *		[2] Note that xScale and yScale are polymorphic in the data layer --> this makes sense due to data binding; data allows us to calculate domains; each layer should be independent of children inheritors.
 *
 *
@@ -53,636 +53,2724 @@
 var App = {
 	Models: {},
 	Collections: {},
-	Views: {}
+	Views: {},
+	Utils: {}
 };
 
 
+
 //////////////////////
-// 		Models   	//
+// 		Utils   	//
 //////////////////////
 
-// Individual data points:
-App.Models.DataPoint = Backbone.Model.extend({
+// Convert a time value to a Date: accepts Dates, epoch milliseconds (numbers or numeric strings) and date strings; strings are parsed according to the (optional) d3.time.format specifier, otherwise as ISO 8601. Unparseable values return null.
+App.Utils.parseTime = function( value, format ) {
 
-	// Set the default coordinates for an individual data point:
-	defaults: function() {
-		return {
-			'x': 0, // default is two-dimensions
-			'y': 0
-		};
-	},
+	var date;
 
-	// The basic type in a time series is a point:
-	type: "point",
+	if ( _.isDate( value ) ) {
+		return value;
+	}; // end IF
 
-	// 
-	url: ''
+	if ( _.isNumber( value ) ) {
+		date = new Date( value );
+	} else if ( _.isString( value ) ) {
+		if ( format ) {
+			date = d3.time.format( format ).parse( value );
+		} else if ( value !== '' && _.isFinite( +value ) ) {
+			date = new Date( +value );
+		} else {
+			date = d3.time.format.iso.parse( value ) || new Date( value );
+		}; // end IF/ELSEIF/ELSE
+	}; // end IF/ELSEIF
 
-});
+	if ( !date || isNaN( date.getTime() ) ) {
+		return null;
+	}; // end IF
 
+	return date;
 
-// Individual data series:
-App.Models.DataSeries = Backbone.NestedModel.extend( {
+};
 
-	// Set the default format for an individual data series:
-	defaults: function() {
-		return {
-			'dataSeries': [] // default is an array of DataPoints
-		};
-	},
 
-	// A collection of data points is of type data series:
-	type: "dataSeries",
+// Largest-Triangle-Three-Buckets downsampling: reduces (sorted) data to the threshold number of points, preserving the visual shape. See Steinarsson (2013), Downsampling Time Series for Visual Representation.
+App.Utils.lttb = function( data, threshold, xValue, yValue ) {
+
+	var N = data.length;
+
+	if ( threshold >= N || threshold < 3 ) {
+		return data;
+	}; // end IF
+
+	// Bucket size; the first and last points are always retained:
+	var every = (N-2) / (threshold-2),
+		sampled = [ data[0] ],
+		a = 0, // index of the previously selected point
+		next, start, end, avgStart, avgEnd, avgX, avgY, ax, ay, area, maxArea;
+
+	for (var i = 0; i < threshold-2; i++) {
+
+		// Average point of the next bucket:
+		avgStart = Math.floor( (i+1)*every ) + 1;
+		avgEnd = Math.min( Math.floor( (i+2)*every ) + 1, N );
+		avgX = 0;
+		avgY = 0;
+		for (var j = avgStart; j < avgEnd; j++) {
+			avgX += +xValue( data[j] );
+			avgY += +yValue( data[j] );
+		}; // end FOR j
+		avgX /= (avgEnd - avgStart);
+		avgY /= (avgEnd - avgStart);
+
+		// Select the point in the current bucket forming the largest triangle with the previously selected point and the next bucket's average:
+		start = Math.floor( i*every ) + 1;
+		end = Math.floor( (i+1)*every ) + 1;
+		ax = +xValue( data[a] );
+		ay = +yValue( data[a] );
+		maxArea = -1;
+		for (var k = start; k < end; k++) {
+			area = Math.abs( (ax - avgX) * (yValue( data[k] ) - ay) - (ax - xValue( data[k] )) * (avgY - ay) );
+			if ( area > maxArea ) {
+				maxArea = area;
+				next = k;
+			}; // end IF
+		}; // end FOR k
 
-	//
-	url: ''
+		sampled.push( data[next] );
+		a = next;
 
-});
+	}; // end FOR i
 
+	sampled.push( data[N-1] );
 
-// Chart Model:
-App.Models.Chart = Backbone.Model.extend({
+	return sampled;
 
-	// Override the constructor:
-	constructor: function( attrs, options ) {
+};
 
-		// Validate the attributes on instantiation:
-		var errors = this.validate( attrs );
 
-		// Check if we have errors:
-		if (errors) {
-			console.log(errors);
-			return {};
-		} else {
-			// Call the Backbone.Model constructor:
-			Backbone.Model.prototype.constructor.call(this, attrs);
-		}; // end IF/ELSE (errors)
+// Min/max downsampling: retains the minimum and maximum points of each bucket, in order, such that the data reduces to (roughly) the threshold number of points.
+App.Utils.minmax = function( data, threshold, xValue, yValue ) {
 
-	},
+	var N = data.length,
+		numBuckets = Math.floor( threshold / 2 );
 
-	// Override the set method:
-	set: function( key, val, options ) {
+	if ( threshold >= N || numBuckets < 1 ) {
+		return data;
+	}; // end IF
 
-		var attrs; 
+	var every = N / numBuckets,
+		sampled = [],
+		start, end, min, max;
 
-		if (key == null ) {
-			// Nothing to set.
-			return this;
-		}
+	for (var i = 0; i < numBuckets; i++) {
 
-		if (typeof key === 'object') {
-			// Setting multiple attributes:
-			attrs = key;
-			options = val;
-		} else {
-			// Setting a key-value pair:
-			(attrs = {})[key] = val;
-		}; // end IF/ELSE
+		start = Math.floor( i*every );
+		end = Math.min( Math.floor( (i+1)*every ), N );
+		min = max = start;
 
-		// Check if validation is turned off:
-		if ( options && options.hasOwnProperty('validate') && options['validate'] == false ) {
-			// Don't validate.
-		}else {
-			// Validate:
-			var errors = this.validate( attrs );
-			if (errors) {
-				// For each error, restore the default:
-				_.each( errors, function(value, key, errs) {
-					var orig = _.pick(this.defaults, key);
-					attrs[key] = orig[key];
-				}, this);
-				console.log(errors);
-				//return {};
+		for (var j = start+1; j < end; j++) {
+			if ( yValue( data[j] ) < yValue( data[min] ) ) {
+				min = j;
 			}; // end IF
-		}; // end IF/ELSE
+			if ( yValue( data[j] ) > yValue( data[max] ) ) {
+				max = j;
+			}; // end IF
+		}; // end FOR j
 
-		// Call the parent:
-		Backbone.Model.prototype.set.call(this, attrs, options);
+		// Keep the x-ordering:
+		sampled.push( data[ Math.min( min, max ) ] );
+		if ( min !== max ) {
+			sampled.push( data[ Math.max( min, max ) ] );
+		}; // end IF
 
-	},
+	}; // end FOR i
 
-	// Set the default chart parameters:
-	defaults: {
+	// Ensure the path extends to the last point:
+	if ( _.last( sampled ) !== data[N-1] ) {
+		sampled.push( data[N-1] );
+	}; // end IF
 
-		// Chart area specifications:
-		margin: { 
-			// for the graph, margin; for the canvas, this is padding
-			'top': 20,
-			'right': 80,
-			'bottom': 50,
-			'left': 80
-		},
-		canvas: {
-			'width': 960,
-			'height': 500
-		},
+	return sampled;
 
-		// Title:
-		title: '',
+};
 
-		// Caption:
-		caption: '',
 
-		// Legend:
-		legend : [], // each legend label should be a string; e.g., ['line1', 'line2', 'line3']
+// Aggregators used when resampling: each reduces an array of (defined) y values to a single value.
+App.Utils.aggregators = {
 
-		// Axis labels:
-		xLabel: 'x',
-		yLabel: 'y',
+	mean: function( values ) {
+		return values.length ? d3.mean( values ) : null;
+	},
 
-		// Axis limits; keywords: 'min' and 'max' to auto-calculate the respective limit; leave empty to auto-calculate both limits
-		xDomain: [], // xLimits
-		yDomain: [], // yLimits
+	min: function( values ) {
+		return values.length ? d3.min( values ) : null;
+	},
 
-		// Line colors:
-		colors: 'auto', //['g','r','k','b'], // these correspond to CSS classes; can also set to 'auto' for calculated color generation
+	max: function( values ) {
+		return values.length ? d3.max( values ) : null;
+	},
 
-		// Data smoothing:
-		interpolation: 'linear',
+	sum: function( values ) {
+		return values.length ? d3.sum( values ) : null;
+	},
 
-		// Animation parameters:
-		animation: 'arise', // options: enterLeft, arise
-		animationProps: {
-			'onEnter': {
-				'duration': 1000,
-				'easing': 'linear'
-			},
-			'onUpdate': {
-				'duration': 1000,
-				'easing': 'linear'
-			},
-			'onExit': {
-				'duration': 1000,
-				'easing': 'linear'
-			}
-		}, 
+	last: function( values ) {
+		return values.length ? values[ values.length-1 ] : null;
+	},
 
-		// Transition parameters:
-		transition: {
-			'onEnter': {
-				'duration': 1000,
-				'easing': 'linear'
-			},
-			'onUpdate': {
-				'duration': 1000, // this parameter should be tuned to the velocity of incoming data
-				'easing': 'linear'
-			},
-			'onExit': {
-				'duration': 1000,
-				'easing': 'linear'
-			}
-		},
+	count: function( values ) {
+		return values.length;
+	}
 
-		// Plot mode: (primarily targeted toward real-time data feeds)
-		mode: 'window', // options: window, add, dynamic, (others?)
+};
 
-		// Brush settings:
-		brush: false,
-		brushProps: {
-			'height': 50,
-			'width': 960,
-			'margin': {
-				'top': 10,
-				'right': 20,
-				'bottom': 20,
-				'left': 80
-			}
-		},
 
-		// Listeners:
-		listeners: {
-			'chart': true,
-			'data': true
-		}, 
+// Transforms used to derive data series (see App.Models.DataSeries.transform): each returns the derived y value for the i-th data point, given an accessor y(j) returning the source y value of the j-th point (null if missing), the derived points computed so far and the transform options.
+App.Utils.transforms = {
 
-		// Data cursor:
-		dataCursor: false
+	// Simple moving average over the last options.window points:
+	sma: function( y, i, out, options ) {
+		var values = App.Utils.transforms._window( y, i, options.window );
+		return values ? d3.mean( values ) : null;
+	},
 
+	// Exponential moving average; the smoothing factor defaults to 2/(window+1):
+	ema: function( y, i, out, options ) {
+		var alpha = options.alpha || 2 / ( options.window+1 ),
+			prev = App.Utils.transforms._previous( out, i );
+		if ( y( i ) === null ) {
+			return null;
+		}; // end IF
+		return prev === null ? y( i ) : alpha*y( i ) + (1-alpha)*prev;
 	},
 
-	//
-	url: '',
+	// Rolling (population) standard deviation over the last options.window points:
+	std: function( y, i, out, options ) {
+		var values = App.Utils.transforms._window( y, i, options.window ),
+			mean;
+		if ( !values ) {
+			return null;
+		}; // end IF
+		mean = d3.mean( values );
+		return Math.sqrt( d3.sum( values, function(d) { return Math.pow( d - mean, 2 ); } ) / values.length );
+	},
 
-	validate: function(attrs, options) {
+	// Bollinger envelope: the moving average plus (upper) or minus (lower) options.k rolling standard deviations:
+	bollinger: function( y, i, out, options ) {
+		var sign = { 'upper': 1, 'middle': 0, 'lower': -1 }[ options.band ],
+			mean = App.Utils.transforms.sma( y, i, out, options );
+		return mean === null ? null : mean + sign * options.k * App.Utils.transforms.std( y, i, out, options );
+	},
 
-		// Check that we have supplied attributes:
-		if (!attrs) {
-			return;
+	// Cumulative sum:
+	cumsum: function( y, i, out, options ) {
+		var prev = App.Utils.transforms._previous( out, i );
+		if ( y( i ) === null ) {
+			return null;
 		}; // end IF
+		return ( prev === null ? 0 : prev ) + y( i );
+	},
 
-		var errors = Backbone.Validate( this, attrs );
+	// Percent change from the previous point:
+	pctChange: function( y, i, out, options ) {
+		if ( i === 0 || y( i ) === null || !y( i-1 ) ) {
+			return null;
+		}; // end IF
+		return ( y( i ) - y( i-1 ) ) / Math.abs( y( i-1 ) ) * 100;
+	},
 
-		if ( !_.isEmpty(errors) ) {
-			return errors;
-		}; // end IF		
+	// Helpers: (not transforms)
 
+	// Defined values of a full window ending at the i-th point; null if the window is incomplete or empty:
+	_window: function( y, i, size ) {
+		var values = [];
+		if ( i < size-1 ) {
+			return null;
+		}; // end IF
+		for (var j = i-size+1; j <= i; j++) {
+			if ( y( j ) !== null ) {
+				values.push( y( j ) );
+			}; // end IF
+		}; // end FOR j
+		return values.length ? values : null;
+	},
+
+	// Last defined derived value before the i-th point:
+	_previous: function( out, i ) {
+		for (var j = i-1; j >= 0; j--) {
+			if ( out[j].y !== null ) {
+				return out[j].y;
+			}; // end IF
+		}; // end FOR j
+		return null;
 	}
 
-});
+};
 
 
+// Fixed-capacity ring buffer: once full, pushing a value evicts the oldest value. If no capacity is specified, the buffer grows as needed and values are only evicted by shift().
+App.Utils.RingBuffer = function( capacity ) {
+	this.capacity = capacity || null;
+	this._values = new Array( capacity || 16 );
+	this._start = 0;
+	this.length = 0;
+};
 
-//////////////////////
-// 	  COLLECTION  	//
-//////////////////////
+_.extend( App.Utils.RingBuffer.prototype, {
 
+	// Append a value; returns the evicted value, if any:
+	push: function( value ) {
 
-// A line chart is a set of data series, each a collection of data points:
-App.Collections.Data = Backbone.Collection.extend({
+		var size = this._values.length,
+			evicted;
 
-	// A data series will serve as the basic unit for our collection:
-	model: App.Models.DataSeries,
+		if ( this.length === size ) {
+			if ( this.capacity ) {
+				evicted = this.shift();
+			} else {
+				// Grow the buffer, unwrapping the values:
+				this._values = this.toArray().concat( new Array( size ) );
+				this._start = 0;
+			}; // end IF/ELSE
+		}; // end IF
 
-	// 
-	url: '',
+		this._values[ (this._start + this.length) % this._values.length ] = value;
+		this.length++;
 
-	// 
-	parse: function( response ) {
-		return response;
-	}
+		return evicted;
 
-});
+	},
 
+	// Remove and return the oldest value:
+	shift: function() {
 
+		if ( !this.length ) {
+			return;
+		}; // end IF
 
+		var value = this._values[ this._start ];
 
-//////////////////////
-//	  	VIEWS 		//
-//////////////////////
+		this._values[ this._start ] = undefined;
+		this._start = (this._start + 1) % this._values.length;
+		this.length--;
 
+		return value;
 
-// Create the base chart layer (the canvas):
-App.Views.ChartBase = Backbone.View.extend({
+	},
 
-	initialize: function( options ) {
-		// 
+	// Get the ith oldest value:
+	get: function( i ) {
+		if ( i < 0 || i >= this.length ) {
+			return;
+		}; // end IF
+		return this._values[ (this._start + i) % this._values.length ];
 	},
 
-	render: function() {
+	last: function() {
+		return this.get( this.length-1 );
+	},
 
-		this.initCanvas();
+	// Return the values, oldest first:
+	toArray: function() {
+		var arr = new Array( this.length );
+		for (var i = 0; i < this.length; i++) {
+			arr[i] = this.get( i );
+		}; // end FOR i
+		return arr;
+	}
 
-		return this;
+});
 
-	},
 
-	initCanvas: function() {
+// Symmetric log scale: logarithmic for large magnitudes and linear near zero, such that zero and negative values may be plotted. (d3 does not provide one.) Values are transformed by sign(x)*log(1+|x|/c), where the constant c sets the extent of the linear region. Supports the scale methods used by axes, brushes and path generators.
+App.Utils.symlog = function() {
 
-		// Initialize the layers object:
-		this.layer = {};
+	var linear = d3.scale.linear(),
+		domain = [0, 1],
+		c = 1;
 
-		// Get the graph size:
-		this.model.set( '_graph', this.graphSize() );
+	function scale( x ) {
+		return linear( transform( x ) );
+	}; // end FUNCTION scale()
 
-		// Create local variables to make the code less verbose:
-		var element = this.el,
-			canvas = this.model.get('canvas'),
-			margin = this.model.get('margin'),
-			graph = this.model.get('_graph');
+	scale.invert = function( y ) {
+		var t = linear.invert( y );
+		return ( t < 0 ? -1 : 1 ) * c * ( Math.exp( Math.abs( t ) ) - 1 );
+	};
 
-		// Create an HTML <figure> container to hold the chart:
-		this.layer.container = d3.select( element ).append('figure')
-			.attr('width', canvas.width)
-			.attr('class', 'mvcChart');
-		
-		// Create the canvas:
-		this.layer.base = this.layer.container.append("svg:svg")
-			.attr('width', canvas.width)
-			.attr('height', canvas.height)
-			.attr('class', 'base');
+	scale.domain = function( x ) {
+		if ( !arguments.length ) {
+			return domain.slice();
+		}; // end IF
+		domain = _.map( x, Number );
+		linear.domain( _.map( domain, transform ) );
+		return scale;
+	};
+
+	scale.range = function( x ) {
+		if ( !arguments.length ) {
+			return linear.range();
+		}; // end IF
+		linear.range( x );
+		return scale;
+	};
 
-		// Initialize the chart area:
-		this.layer.chart = this.layer.base.append("svg:g")
-			.attr('transform', 'translate(' + margin.left + ',' + margin.top + ')')
-			.attr('class', 'chart');
+	scale.clamp = function( x ) {
+		if ( !arguments.length ) {
+			return linear.clamp();
+		}; // end IF
+		linear.clamp( x );
+		return scale;
+	};
 
-		// Append a path clipper, defining the data viewport:
-		var numCharts = d3.selectAll('.mvcChart')[0].length,
-			clipPathID = 'graphClipPath' + numCharts;
+	scale.constant = function( x ) {
+		if ( !arguments.length ) {
+			return c;
+		}; // end IF
+		c = +x;
+		linear.domain( _.map( domain, transform ) );
+		return scale;
+	};
+
+	// Round the domain outward to one significant digit:
+	scale.nice = function() {
+		return scale.domain( [ nice( domain[0], Math.floor ), nice( domain[1], Math.ceil ) ] );
+	};
+
+	// Ticks are placed at zero and at powers of ten (of either sign) within the domain; for narrow domains, linear ticks are used:
+	scale.ticks = function( m ) {
+
+		var lo = d3.min( domain ),
+			hi = d3.max( domain ),
+			k0 = Math.floor( log10( c ) ),
+			k1 = Math.ceil( log10( Math.max( Math.abs( lo ), Math.abs( hi ) ) ) ),
+			ticks = [],
+			p, step;
+
+		if ( lo <= 0 && hi >= 0 ) {
+			ticks.push( 0 );
+		}; // end IF
 
-		this.model.set( '_clipPath', '#' + clipPathID );
+		for (var k = k0; k <= k1; k++) {
+			p = Math.pow( 10, k );
+			if ( p >= lo && p <= hi ) {
+				ticks.push( p );
+			}; // end IF
+			if ( -p >= lo && -p <= hi ) {
+				ticks.push( -p );
+			}; // end IF
+		}; // end FOR k
 
-		this.layer.chart.append("svg:defs")
-			.append("svg:clipPath")
-				.attr("id", clipPathID)
-				.append("svg:rect")
-					.attr("width", graph.width)
-					.attr("height", graph.height);
+		if ( ticks.length < 3 ) {
+			return d3.scale.linear().domain( domain ).ticks( m );
+		}; // end IF
 
-		return this;
+		ticks.sort( d3.ascending );
 
-	},
+		// Thin out the ticks to roughly the requested count:
+		step = Math.ceil( ticks.length / ( m || 10 ) );
 
-	graphSize: function() {
-		var canvas = this.model.get('canvas'),
-			margin = this.model.get('margin');
-		return {
-			width: canvas.width - margin.left - margin.right,
-			height: canvas.height - margin.top - margin.bottom
-		}
-	}	
+		return _.filter( ticks, function( d, i ) {
+			return i % step === 0;
+		});
 
-});
+	};
 
+	scale.tickFormat = function( m, format ) {
+		return d3.format( format || ',' );
+	};
 
+	scale.copy = function() {
+		return App.Utils.symlog()
+			.constant( c )
+			.domain( domain )
+			.range( linear.range() )
+			.clamp( linear.clamp() );
+	};
 
-// Create the Axes layer:
-App.Views.ChartArea = App.Views.ChartBase.extend({
+	return scale;
 
-	initialize: function( options ) {
-		// This overrides any inherited initialize functions.
-	},
+	function transform( x ) {
+		return ( x < 0 ? -1 : 1 ) * Math.log( 1 + Math.abs( x ) / c );
+	}; // end FUNCTION transform()
+
+	function log10( x ) {
+		return Math.log( x ) / Math.LN10;
+	}; // end FUNCTION log10()
+
+	function nice( x, round ) {
+		if ( !x ) {
+			return x;
+		}; // end IF
+		var magnitude = Math.pow( 10, Math.floor( log10( Math.abs( x ) ) ) );
+		return round( x / magnitude ) * magnitude;
+	}; // end FUNCTION nice()
+
+};
+
+
+// Reporting of problems: mixed into objects which emit Backbone events, such as the Chart Model and the Data collection. Each report, {level: 'error'|'warning', code: '', message: '', context: {}}, is logged, recorded in the object's reports list and emitted as an 'error' or 'warning' event. (Backbone also emits 'error' events for failed requests; reports are distinguished by having a code.)
+App.Utils.reporter = {
+
+	report: function( level, code, message, context ) {
+
+		var report = {
+			'level': level,
+			'code': code,
+			'message': String( message ).replace( /^(ERROR|WARNING):/, '' ),
+			'context': context || {}
+		};
+
+		console.log( level.toUpperCase() + ':' + report.message );
+
+		return this.record( report );
+
+	},
+
+	// Record and emit a report without logging it; e.g., a report forwarded from another reporter:
+	record: function( report ) {
+
+		this.reports = this.reports || [];
+		this.reports.push( report );
+		this.trigger( report.level, this, report );
+
+		return this;
+
+	},
+
+	error: function( code, message, context ) {
+		return this.report( 'error', code, message, context );
+	},
+
+	warning: function( code, message, context ) {
+		return this.report( 'warning', code, message, context );
+	}
+
+};
+
+
+// Library-level reports, e.g., invalid registrations and specifications, which are not tied to a single chart: (every chart surfaces these; see App.Views.ChartBase.bindReports)
+App.Reports = _.extend( { reports: [] }, Backbone.Events, App.Utils.reporter, {
+
+	// Library problems may recur, e.g., an unrecognized layer upon each render; report each only once:
+	report: function( level, code, message, context ) {
+
+		var msg = String( message ).replace( /^(ERROR|WARNING):/, '' );
+
+		if ( _.find( this.reports, function( report ) { return report.code === code && report.message === msg; } ) ) {
+			return this;
+		}; // end IF
+
+		return App.Utils.reporter.report.call( this, level, code, message, context );
+
+	}
+
+});
+
+
+
+//////////////////////
+// 		Models   	//
+//////////////////////
+
+// Individual data points:
+App.Models.DataPoint = Backbone.Model.extend({
+
+	// Set the default coordinates for an individual data point:
+	defaults: function() {
+		return {
+			'x': 0, // default is two-dimensions
+			'y': 0
+		};
+	},
+
+	// The basic type in a time series is a point:
+	type: "point"
+
+});
+
+
+// Individual data series:
+App.Models.DataSeries = Backbone.NestedModel.extend( {
+
+	// Override the constructor:
+	constructor: function( attrs, options ) {
+
+		// Backbone-nested records nested changes when setting the initial attributes, before Backbone has initialized the changed hash:
+		this.changed = {};
+
+		// Call the Backbone.NestedModel constructor:
+		Backbone.NestedModel.prototype.constructor.call(this, attrs, options);
+
+	},
+
+	// Set the default format for an individual data series: (an 'id' may also be assigned to uniquely identify the series)
+	defaults: function() {
+		return {
+			'name': '', // display name; e.g., used for legend labels and data cursor tooltips
+			'color': null, // any CSS color; leave null to use the chart color palette
+			'unit': '', // unit of the y values; e.g., 'hPa'
+			'lineStyle': 'solid', // options: solid, dashed, dotted
+			'visible': true,
+			'axis': 'left', // y-axis against which the data series is plotted; options: left, right
+			'dataSeries': [] // default is an array of DataPoints
+		};
+	},
+
+	// A collection of data points is of type data series:
+	type: "dataSeries",
+
+	// When the collection parses time values (see App.Collections.Data.time), x values are converted to Dates as data points are set. Backbone-nested merges a value set over an object, which would leave a Date set over a Date unchanged; values holding Dates therefore replace the current value:
+	set: function( key, val, options ) {
+
+		var model = this,
+			collection = this.collection,
+			attrs;
+
+		if ( key == null ) {
+			return Backbone.NestedModel.prototype.set.apply( this, arguments );
+		}; // end IF
+
+		// Attribute paths may be provided as arrays: (e.g., by remove())
+		if ( _.isArray( key ) ) {
+			key = Backbone.NestedModel.createAttrStr( key );
+		}; // end IF
+
+		if ( _.isString( key ) ) {
+			( attrs = {} )[ key ] = val;
+		} else {
+			attrs = key;
+			options = val;
+		}; // end IF/ELSE
+
+		attrs = _.reduce( attrs, function( parsed, value, path ) {
+
+			if ( collection && collection.time ) {
+				value = collection.timeValues( Backbone.NestedModel.attrPath( path ), value );
+			}; // end IF
+
+			if ( hasDates( value ) && _.isObject( model.get( path ) ) ) {
+				Backbone.NestedModel.prototype.set.call( model, path, null, { silent: true } );
+			}; // end IF
+
+			parsed[ path ] = value;
+			return parsed;
+
+		}, {} );
+
+		return Backbone.NestedModel.prototype.set.call( this, attrs, options );
+
+		function hasDates( value ) {
+			if ( _.isArray( value ) ) {
+				return _.some( value, hasDates );
+			}; // end IF
+			return _.isDate( value ) || ( _.isObject( value ) && _.some( value, _.isDate ) );
+		}; // end FUNCTION hasDates()
+
+	},
+
+	// Create a derived data series by applying a transform (see App.Utils.transforms) to this data series, e.g., series.transform( 'sma', {window: 20, color: 'red'} ). The derived series is styled via the name, color, unit, lineStyle and visible options and is recomputed incrementally as data points are appended to (or removed from the front of) this data series; call derived.stopListening() to detach it.
+	transform: function( name, options ) {
+
+		var source = this,
+			fcn = App.Utils.transforms[ name ],
+			opts = _.defaults( {}, options, {
+				'attribute': 'dataSeries', // data series attribute holding the data points
+				'x': 'x', // data point property holding the x value
+				'y': 'y', // data point property holding the y value
+				'window': 10, // number of points in a rolling window
+				'alpha': null, // exponential moving average smoothing factor
+				'k': 2, // Bollinger envelope width, in standard deviations
+				'band': 'upper' // Bollinger envelope band: upper, middle, lower
+			}),
+			state = { out: [], inputs: [], last: null }, // derived points, the source y values from which they were computed, and the last source x value
+			attrs, derived;
+
+		if ( !fcn || name.charAt(0) === '_' ) {
+			( source.collection || App.Reports ).error( 'UNKNOWN_TRANSFORM', 'unrecognized transform "' + name + '". Transform must be one of the following options: ' + _.reject( _.keys( App.Utils.transforms ), function(key) { return key.charAt(0) === '_'; } ), {
+				'transform': name
+			});
+			return null;
+		}; // end IF
+
+		// Derived series inherit the source color and unit, but are dashed by default:
+		attrs = _.defaults( _.pick( opts, 'id', 'name', 'color', 'unit', 'lineStyle', 'visible' ), {
+			'name': ( source.get('name') ? source.get('name') + ' ' : '' ) + name,
+			'color': source.get('color'),
+			'unit': name === 'pctChange' ? '%' : source.get('unit'),
+			'lineStyle': 'dashed'
+		});
+
+		derived = new App.Models.DataSeries( attrs );
+		derived.source = source;
+
+		update();
+		derived.listenTo( source, 'change:' + opts.attribute, update );
+
+		return derived;
+
+		function update() {
+
+			var data = source.get( opts.attribute ) || [],
+				out = state.out,
+				inputs = state.inputs,
+				start = 0,
+				offset, point;
+
+			// Determine where the previous computation left off, allowing for points removed from the front: (points are matched by x value, as nested models clone their attributes on update)
+			if ( out.length && data.length ) {
+				offset = indexOf( +data[0][ opts.x ] );
+				if ( offset >= 0 && out.length - offset <= data.length && +data[ out.length-offset-1 ][ opts.x ] === state.last ) {
+					out = out.slice( offset );
+					inputs = inputs.slice( offset );
+					start = out.length;
+				} else {
+					out = [];
+					inputs = [];
+				}; // end IF/ELSE
+			}; // end IF
+
+			// Values may have changed in place (e.g., in dynamic mode); recompute from the first changed point:
+			for (var j = 0; j < start; j++) {
+				if ( +data[j][ opts.x ] !== +out[j][ opts.x ] || y( j ) !== inputs[j] ) {
+					start = j;
+					out = out.slice( 0, j );
+					inputs = inputs.slice( 0, j );
+					break;
+				}; // end IF
+			}; // end FOR j
+
+			// Only compute the derived values for new and changed points:
+			for (var i = start; i < data.length; i++) {
+				point = {};
+				point[ opts.x ] = data[i][ opts.x ];
+				point.y = fcn( y, i, out, opts );
+				out.push( point );
+				inputs.push( y( i ) );
+			}; // end FOR i
+
+			state.out = out;
+			state.inputs = inputs;
+			state.last = data.length ? +data[ data.length-1 ][ opts.x ] : null;
+
+			// Replace, rather than merge, the array of data points:
+			Backbone.Model.prototype.set.call( derived, 'dataSeries', _.map( out, function(d) {
+				var p = {};
+				p[ opts.x ] = d[ opts.x ];
+				p[ opts.y ] = d.y;
+				return p;
+			}));
+
+			function y( j ) {
+				var val = data[j][ opts.y ];
+				return ( val === null || val === undefined || !_.isFinite( val ) ) ? null : +val;
+			}; // end FUNCTION y()
+
+			function indexOf( x ) {
+				for (var j = 0; j < out.length; j++) {
+					if ( +out[j][ opts.x ] === x ) {
+						return j;
+					}; // end IF
+				}; // end FOR j
+				return -1;
+			}; // end FUNCTION indexOf()
+
+		}; // end FUNCTION update()
+
+	}
+
+});
+
+
+// Chart Model:
+App.Models.Chart = Backbone.Model.extend({
+
+	// Override the constructor:
+	constructor: function( attrs, options ) {
+
+		// Initialize the list of reported errors and warnings: (see report)
+		this.reports = [];
+
+		// Call the Backbone.Model constructor: (options may provide the url, urlRoot and collection; attributes are validated upon set, with invalid attributes reported and restored to their defaults)
+		Backbone.Model.prototype.constructor.call(this, attrs, options);
+
+	},
+
+	// Override the set method:
+	set: function( key, val, options ) {
+
+		var attrs; 
+
+		if (key == null ) {
+			// Nothing to set.
+			return this;
+		}
+
+		if (typeof key === 'object') {
+			// Setting multiple attributes:
+			attrs = key;
+			options = val;
+		} else {
+			// Setting a key-value pair:
+			(attrs = {})[key] = val;
+		}; // end IF/ELSE
+
+		// Resolve dotted paths and partial nested options against the current values; e.g., set('margin.left', 120) or set({transition: {onUpdate: {duration: 250}}}):
+		var prev = _.clone( this.attributes );
+		attrs = this.merge( attrs );
+
+		// Check if validation is turned off: (unsetting an option removes, rather than assigns, a value, so there is nothing to validate)
+		if ( options && ( options.unset || ( options.hasOwnProperty('validate') && options['validate'] == false ) ) ) {
+			// Don't validate.
+		}else {
+			// Fill absent nested keys having defaults and validate:
+			attrs = App.Schema.defaults( attrs );
+			var errors = this.validate( attrs );
+			if (errors) {
+				// Report each error: (errors are keyed by dotted path)
+				_.each( errors, function(value, path, errs) {
+					var keys = path.split('.');
+					this.error( 'INVALID_OPTION', value, {
+						'option': keys[0],
+						'path': path,
+						'value': _.reduce( keys, function( obj, key ) { return obj == null ? obj : obj[ key ]; }, attrs )
+					});
+				}, this);
+				// For each error, keep the current value of the invalid option, which, on instantiation, is the default: (only once all errors are reported, as an option may have several errors)
+				_.each( errors, function(value, path, errs) {
+					var key = path.split('.')[0];
+					attrs[key] = _.has( this.attributes, key ) ? this.attributes[key] : this.defaults[key];
+				}, this);
+			}; // end IF
+		}; // end IF/ELSE
+
+		// Call the parent:
+		var result = Backbone.Model.prototype.set.call(this, attrs, options);
+
+		// Fire change events for each changed nested key; e.g., 'change:margin.left':
+		if ( !(options && options.silent) ) {
+			_.each( attrs, function( value, key ) {
+				if ( App.Schema.get( key ) && App.Schema.get( key ).properties ) {
+					this.changes( key, prev[ key ], this.attributes[ key ] );
+				}; // end IF
+			}, this );
+		}; // end IF
+
+		return result;
+
+	},
+
+	// Override the get method to accept dotted paths; e.g., get('margin.left'):
+	get: function( attr ) {
+		return Backbone.NestedModel.prototype.get.call( this, attr );
+	},
+
+	// Expand dotted paths and deep merge partial nested options into (copies of) the current values: (arrays are replaced rather than merged)
+	merge: function( attrs ) {
+
+		var merged = {};
+
+		_.each( attrs, function( value, key ) {
+
+			var path = Backbone.NestedModel.attrPath( key ),
+				option = path[0],
+				node = App.Schema.get( option ),
+				current = _.has( merged, option ) ? merged[ option ] : ( _.has( this.attributes, option ) ? this.attributes[ option ] : this.defaults[ option ] ); // on instantiation, merge with the defaults
+
+			if ( path.length > 1 ) {
+				// Dotted path: create the nested value and merge:
+				value = Backbone.NestedModel.createAttrObj( _.rest( path ), value );
+			} else if ( !( node && node.properties ) ) {
+				merged[ option ] = value;
+				return;
+			}; // end IF/ELSEIF
+
+			merged[ option ] = deepMerge( current, value );
+
+		}, this );
+
+		return merged;
+
+		function deepMerge( target, source ) {
+			if ( !$.isPlainObject( target ) || !$.isPlainObject( source ) ) {
+				return source;
+			}; // end IF
+			var copy = _.clone( target );
+			_.each( source, function( value, key ) {
+				copy[ key ] = deepMerge( target[ key ], value );
+			});
+			return copy;
+		}; // end FUNCTION deepMerge()
+
+	},
+
+	changes: function( path, prev, curr ) {
+
+		// Recurse into nested objects, firing an event for each changed key:
+		_.each( _.union( _.keys( prev || {} ), _.keys( curr || {} ) ), function( key ) {
+			var a = prev && prev[ key ],
+				b = curr && curr[ key ];
+			if ( _.isEqual( a, b ) ) {
+				return;
+			}; // end IF
+			this.trigger( 'change:' + path + '.' + key, this, b );
+			if ( $.isPlainObject( a ) && $.isPlainObject( b ) ) {
+				this.changes( path + '.' + key, a, b );
+			}; // end IF
+		}, this );
+
+	},
+
+	// Report a problem: see App.Utils.reporter
+	report: App.Utils.reporter.report,
+	record: App.Utils.reporter.record,
+	error: App.Utils.reporter.error,
+	warning: App.Utils.reporter.warning,
+
+	// Set the default chart parameters:
+	defaults: {
+
+		// Chart area specifications:
+		margin: { 
+			// for the graph, margin; for the canvas, this is padding
+			'top': 20,
+			'right': 80,
+			'bottom': 50,
+			'left': 80
+		},
+		canvas: {
+			'width': 960,
+			'height': 500
+		},
+
+		// Configuration name: (identifies a stored chart configuration)
+		name: '',
+
+		// Endpoint of the data collection visualized by the chart: (App.Spec.build records the data url here and, for a specification lacking a data url, fetches the data from here)
+		dataUrl: '',
+
+		// Title:
+		title: '',
+
+		// Caption:
+		caption: '',
+
+		// Legend:
+		legend : false, // either a boolean, in which case labels are the data series names, or an array of labels, one string per data series; e.g., ['line1', 'line2', 'line3']
+
+		// Axis labels: (y2 denotes the right y-axis, against which data series having axis 'right' are plotted)
+		xLabel: 'x',
+		yLabel: 'y',
+		y2Label: '',
+
+		// Axis limits; keywords: 'min' and 'max' to auto-calculate the respective limit; leave empty to auto-calculate both limits
+		xDomain: [], // xLimits; for a time axis, limits may also be Dates
+		yDomain: [], // yLimits
+		y2Domain: [], // limits of the right y-axis
+
+		// Axis scale types: (on a log axis, non-positive values are not plotted and do not contribute to the domain; symlog is a symmetric log scale, which accommodates zero and negative values)
+		xScaleType: 'linear', // options: linear, time, log, pow, sqrt, symlog. For a time axis, x values are parsed as Dates (see timeParse).
+		yScaleType: 'linear', // options: linear, time, log, pow, sqrt, symlog
+		y2ScaleType: 'linear', // options: linear, time, log, pow, sqrt, symlog
+
+		// Axis configuration:
+		axes: {
+			'x': {
+				'orient': 'bottom', // options: bottom, top
+				'ticks': null, // approximate number of ticks; leave null for the scale's default
+				'tickValues': null, // explicit tick values, overriding ticks
+				'tickFormat': null, // either a format specifier (d3.format or, for a time axis, d3.time.format) or a function; leave null for the scale's default
+				'tickSize': 6, // tick length in pixels; negative values draw ticks into the chart area
+				'tickRotation': 0, // rotation of the tick labels in degrees; e.g., -45
+				'labelOffset': null, // distance of the axis label from the axis in pixels; leave null for 40 pixels below a bottom axis, otherwise just within the margin
+				'grid': false, // draw gridlines at the ticks across the chart area
+				'exponent': 2, // exponent of a pow scale
+				'constant': 1 // extent of the linear region of a symlog scale
+			},
+			'y': {
+				'orient': 'left', // options: left, right
+				'ticks': null,
+				'tickValues': null,
+				'tickFormat': null,
+				'tickSize': 6,
+				'tickRotation': 0,
+				'labelOffset': null,
+				'grid': false,
+				'exponent': 2,
+				'constant': 1
+			},
+			'y2': {
+				'orient': 'right', // options: right, left
+				'ticks': null,
+				'tickValues': null,
+				'tickFormat': null,
+				'tickSize': 6,
+				'tickRotation': 0,
+				'labelOffset': null,
+				'grid': false,
+				'exponent': 2,
+				'constant': 1
+			}
+		},
+
+		// Time formats: (d3.time.format specifiers)
+		timeParse: null, // format used to parse x value strings; leave null to parse ISO 8601 strings and epoch milliseconds
+		timeFormat: '%Y-%m-%d %H:%M:%S', // format used to display x values in the data cursor
+
+		// Theme: (see App.Themes)
+		theme: 'light', // options: light, dark, high-contrast, or any registered theme
+
+		// Line colors: (only used for data series which do not specify their own color)
+		colors: 'auto', //['g','r','k','b'], // these correspond to CSS classes; can also set to 'auto' for calculated color generation
+
+		// Data smoothing:
+		interpolation: 'linear',
+
+		// Downsampling: (for large data series, reduces the data drawn to roughly downsampleDensity points per horizontal pixel; recalculated whenever the x-domain changes)
+		downsample: false, // options: false, lttb (Largest-Triangle-Three-Buckets), minmax
+		downsampleDensity: 1,
+
+		// Missing values: (null, NaN or undefined y values)
+		missing: 'gap', // options: gap (break the line), interpolate (connect the neighboring points), zero (treat as 0)
+
+		// Uncertainty: (data points carrying lower and upper bounds, see lowerAccessor and upperAccessor, are drawn beneath the lines)
+		uncertainty: false, // options: false, band (shaded area between the bounds), errorbars (a bar per data point)
+
+		// Animation parameters:
+		animation: 'arise', // options: enterLeft, arise
+		animationProps: {
+			'onEnter': {
+				'duration': 1000,
+				'easing': 'linear'
+			},
+			'onUpdate': {
+				'duration': 1000,
+				'easing': 'linear'
+			},
+			'onExit': {
+				'duration': 1000,
+				'easing': 'linear'
+			}
+		}, 
+
+		// Transition parameters:
+		transition: {
+			'onEnter': {
+				'duration': 1000,
+				'easing': 'linear'
+			},
+			'onUpdate': {
+				'duration': 1000, // this parameter should be tuned to the velocity of incoming data
+				'easing': 'linear'
+			},
+			'onExit': {
+				'duration': 1000,
+				'easing': 'linear'
+			}
+		},
+
+		// Plot mode: (primarily targeted toward real-time data feeds)
+		mode: 'window', // options: window, add, dynamic, (others?)
+
+		// Sliding window extent: specify either, or both, to have the window mode buffer each data series, evicting points which leave the window. Producers then only need to add points. Leave both null to have producers remove points themselves.
+		windowSize: null, // maximum number of data points displayed per data series
+		windowDuration: null, // maximum x-extent of the window; for a time axis, in milliseconds
+
+		// Brush settings:
+		brush: false,
+		brushProps: {
+			'height': 50,
+			'width': 960,
+			'margin': {
+				'top': 10,
+				'right': 20,
+				'bottom': 20,
+				'left': 80
+			}
+		},
+
+		// Listeners:
+		listeners: {
+			'chart': true,
+			'data': true
+		}, 
+
+		// Data cursor:
+		dataCursor: false,
+
+		// Error panel: (lists errors and warnings reported by the chart within the chart's <figure> container; see App.Models.Chart.report)
+		errorPanel: false,
+
+		// Responsive mode: either false, true (the canvas width tracks the width of the chart's element as the window resizes) or the fraction of the element width to fill; e.g., 0.5
+		responsive: false,
+
+		// Data accessors: either functions or property names; e.g., xAccessor: 'timestamp' or xAccessor: function(d) { return d[0]; }
+		xAccessor: function(d) { return d.x; }, // applied to each data point
+		yAccessor: function(d) { return d.y; }, // applied to each data point
+		lowerAccessor: function(d) { return d.lower; }, // applied to each data point; returns the lower bound
+		upperAccessor: function(d) { return d.upper; }, // applied to each data point; returns the upper bound
+		seriesAccessor: function(d) { return d.get('dataSeries'); }, // applied to each data series model; returns the data point array
+		keyAccessor: null // applied to each data series model; used to join data series to paths. Leave null to join by the data series id (or, if no id is assigned, the model's client id).
+
+	},
+
+	// Chart configurations are saved to, and fetched from, urlRoot/id:
+	urlRoot: '',
+
+	// Only chart options are persisted; generated attributes (prefixed by an underscore) are internal to a view:
+	toJSON: function( options ) {
+		return this.chartOptions( this.attributes );
+	},
+
+	parse: function( response, options ) {
+		return this.chartOptions( response );
+	},
+
+	chartOptions: function( attrs ) {
+		return _.omit( attrs, _.filter( _.keys( attrs ), function( key ) {
+			return key.charAt(0) === '_';
+		}) );
+	},
+
+	validate: function(attrs, options) {
+
+		// Check that we have supplied attributes:
+		if (!attrs) {
+			return;
+		}; // end IF
+
+		var errors = App.Schema.validate( attrs );
+
+		if ( !_.isEmpty(errors) ) {
+			return errors;
+		}; // end IF		
+
+	}
+
+});
+
+
+
+//////////////////////
+// 	  COLLECTION  	//
+//////////////////////
+
+
+// A line chart is a set of data series, each a collection of data points:
+App.Collections.Data = Backbone.Collection.extend({
+
+	// A data series will serve as the basic unit for our collection:
+	model: App.Models.DataSeries,
+
+	// REST endpoint from which data series are fetched: (may also be provided as an option)
+	url: '',
+
+	// Name of the registered adapter used to parse raw input (see App.Adapters); leave null to pass input through unchanged:
+	adapter: null,
+
+	// Time values: either null, to leave x values as they are, true, to parse ISO 8601 strings and epoch milliseconds, or a d3.time.format specifier used to parse x value strings. Set via parseTime(); charts having a time axis parse the x values of their data once, as data series are added or changed, rather than on each access.
+	time: null,
+
+	// Data point property holding the x value parsed as time:
+	timeKey: 'x',
+
+	// Mapping from a server response onto data series: either a function, which accepts the response and returns the data series, or an object, e.g., {root: 'results.series', series: {name: 'label', dataSeries: 'points'}, point: {x: 't', y: 'v'}}, where root is the (dotted) path to the data within the response and series and point map attributes onto response fields. Leave null to use the response as is.
+	mapping: null,
+
+	initialize: function( models, options ) {
+
+		// The adapter and mapping may be provided as options:
+		_.extend( this, _.pick( options || {}, 'adapter', 'mapping' ) );
+
+		// Initialize the list of reported errors and warnings, e.g., malformed input: (charts bound to the collection surface these; see App.Utils.reporter)
+		this.reports = [];
+
+	},
+
+	// Report a problem: see App.Utils.reporter
+	report: App.Utils.reporter.report,
+	record: App.Utils.reporter.record,
+	error: App.Utils.reporter.error,
+	warning: App.Utils.reporter.warning,
+
+	// 
+	parse: function( response, options ) {
+
+		var adapter = (options && options.adapter) || this.adapter,
+			mapping = (options && options.mapping) || this.mapping;
+
+		// Locate the data within the response:
+		if ( mapping && mapping.root ) {
+			response = _.reduce( mapping.root.split('.'), function( obj, key ) {
+				return obj == null ? obj : obj[ key ];
+			}, response );
+		}; // end IF
+
+		var data = response;
+
+		if ( adapter ) {
+
+			// Malformed input is reported by the collection:
+			data = App.Adapters.convert( adapter, response, options, this );
+
+			if ( !data ) {
+				// Notify any listeners and do not add any data series:
+				this.trigger( 'invalid', this, _.last( this.reports ).message, options );
+				return [];
+			}; // end IF
+
+		}; // end IF
+
+		return mapping ? this.mapResponse( data, mapping ) : data;
+
+	},
+
+	// Parse the x values of data points into Dates, both of the current data series and of data series subsequently added or changed: (format is either true or a d3.time.format specifier; see App.Utils.parseTime)
+	parseTime: function( format, key ) {
+
+		format = format || true;
+		key = key || 'x';
+
+		// Data series are parsed on ingest, so only a change of format or key requires parsing the current data series:
+		if ( this.time === format && this.timeKey === key ) {
+			return this;
+		}; // end IF
+
+		this.time = format;
+		this.timeKey = key;
+
+		// Setting the current data points parses their x values; listeners are not notified, as the data series are unchanged in value:
+		this.each( function( series ) {
+			var data = series.get('dataSeries');
+			if ( _.some( data, function( d ) { return _.isObject( d ) && !_.isDate( d[ key ] ); } ) ) {
+				series.set( 'dataSeries', data, { silent: true } );
+			}; // end IF
+		});
+
+		return this;
+
+	},
+
+	// Convert the x values within a value set at an attribute path of a data series: (e.g., ['dataSeries'], ['dataSeries', 3] or ['dataSeries', 3, 'x'])
+	timeValues: function( path, value ) {
+
+		var format = this.time === true ? null : this.time,
+			key = this.timeKey;
+
+		function point( d ) {
+			if ( !_.isObject( d ) || _.isDate( d[ key ] ) ) {
+				return d;
+			}; // end IF
+			d = _.clone( d );
+			d[ key ] = App.Utils.parseTime( d[ key ], format );
+			return d;
+		}; // end FUNCTION point()
+
+		if ( path[0] !== 'dataSeries' ) {
+			return value;
+		}; // end IF
+
+		switch ( path.length ) {
+
+			case 1:
+				return _.isArray( value ) ? _.map( value, point ) : value;
+
+			case 2:
+				return point( value );
+
+			default:
+				return ( path.length === 3 && path[2] === key && !_.isDate( value ) ) ? App.Utils.parseTime( value, format ) : value;
+
+		}; // end SWITCH path.length
+
+	},
+
+	// Map response fields onto data series and data point attributes:
+	mapResponse: function( data, mapping ) {
+
+		if ( _.isFunction( mapping ) ) {
+			return mapping( data );
+		}; // end IF
+
+		if ( !_.isArray( data ) ) {
+			this.error( 'INVALID_MAPPING', 'unable to map response. Data series must be an array; check the mapping root.', {
+				'mapping': mapping
+			});
+			return [];
+		}; // end IF
+
+		var series = mapping.series || {},
+			point = mapping.point || {},
+			points = series.dataSeries || 'dataSeries';
+
+		return _.map( data, function( d ) {
+
+			var attrs = rename( d, series );
+
+			if ( _.isArray( d[ points ] ) && !_.isEmpty( point ) ) {
+				attrs.dataSeries = _.map( d[ points ], function( p ) {
+					return rename( p, point );
+				});
+			}; // end IF
+
+			return attrs;
+
+		});
+
+		// Copy an object, with mapped fields assigned to their attribute names:
+		function rename( obj, fields ) {
+			var copy = _.omit( obj, _.values( fields ) );
+			_.each( fields, function( field, attr ) {
+				if ( _.has( obj, field ) ) {
+					copy[ attr ] = obj[ field ];
+				}; // end IF
+			});
+			return copy;
+		}; // end FUNCTION rename()
+
+	},
+
+	// Create a derived collection in which each data series is bucketed into fixed intervals and aggregated. The interval is either a number (in x units; milliseconds for time values) or a d3.time interval (e.g., d3.time.minute). The aggregator is either the name of an App.Utils.aggregators function or a custom function accepting the array of y values in a bucket. The derived collection stays in sync with this collection; call derived.stopListening() to detach it.
+	resample: function( interval, aggregator, options ) {
+
+		var source = this,
+			derived = new App.Collections.Data(),
+			reduce = _.isFunction( aggregator ) ? aggregator : App.Utils.aggregators[ aggregator || 'mean' ],
+			opts = _.defaults( {}, options, {
+				'attribute': 'dataSeries', // data series attribute holding the data points
+				'x': 'x', // data point property holding the x value
+				'y': 'y', // data point property holding the y value
+				'origin': 0, // numeric intervals: bucket boundaries are origin + k*interval
+				'timeParse': null // d3.time.format specifier used to parse string x values
+			});
+
+		if ( !reduce ) {
+			this.error( 'UNKNOWN_AGGREGATOR', 'unrecognized aggregator "' + aggregator + '". Aggregator must be a function or one of the following options: ' + _.keys( App.Utils.aggregators ), {
+				'aggregator': aggregator
+			});
+			return null;
+		}; // end IF
+
+		if ( !( _.isFunction( interval ) && interval.floor ) && !( _.isFinite( interval ) && interval > 0 ) ) {
+			this.error( 'INVALID_INTERVAL', 'invalid interval. Interval must be a positive number or a d3.time interval.', {
+				'interval': interval
+			});
+			return null;
+		}; // end IF
+
+		derived.source = source;
+
+		// Initialize the derived data series:
+		source.each( function( series ) {
+			derived.add( derive( series ) );
+		});
+
+		// Keep the derived data series in sync:
+		derived.listenTo( source, 'change:' + opts.attribute, function( series ) {
+			var model = match( series );
+			if ( model ) {
+				// Replace, rather than merge, the array of data points:
+				Backbone.Model.prototype.set.call( model, opts.attribute, bucket( series.get( opts.attribute ) ) );
+			}; // end IF
+		});
+
+		derived.listenTo( source, 'change:name change:color change:unit change:lineStyle change:visible', function( series ) {
+			var model = match( series );
+			if ( model ) {
+				model.set( _.pick( series.changedAttributes(), 'name', 'color', 'unit', 'lineStyle', 'visible' ) );
+			}; // end IF
+		});
+
+		derived.listenTo( source, 'add', function( series ) {
+			derived.add( derive( series ), { at: source.indexOf( series ) } );
+		});
+
+		derived.listenTo( source, 'remove', function( series ) {
+			derived.remove( match( series ) );
+		});
+
+		derived.listenTo( source, 'reset sort', function() {
+			derived.reset( source.map( derive ) );
+		});
+
+		return derived;
+
+		// Derived data series copy the metadata of their source and, to allow them to be matched, record the source cid:
+		function derive( series ) {
+			var attrs = _.omit( series.toJSON(), opts.attribute );
+			attrs[ opts.attribute ] = bucket( series.get( opts.attribute ) );
+			attrs._source = series.cid;
+			return attrs;
+		}; // end FUNCTION derive()
+
+		function match( series ) {
+			return derived.find( function( model ) {
+				return model.get('_source') === series.cid;
+			});
+		}; // end FUNCTION match()
+
+		function bucket( data ) {
+
+			var isTime, index, step, back, value, x, y, k, keys, groups = {}, points = [];
+
+			if ( !data || !data.length ) {
+				return [];
+			}; // end IF
+
+			isTime = interval.floor || _.isDate( data[0][ opts.x ] ) || ( _.isString( data[0][ opts.x ] ) && !_.isFinite( +data[0][ opts.x ] ) );
+
+			// Determine the bucket keys: (numeric buckets are keyed by their integer index, k, so that keys do not accumulate floating-point error; time buckets are keyed by their start time)
+			if ( interval.floor ) {
+				index = function( x ) { return +interval.floor( x ); };
+				step = function( k ) { return +interval.offset( new Date( k ), 1 ); };
+				back = function( k ) { return +interval.offset( new Date( k ), -1 ); };
+				value = function( k ) { return new Date( k ); };
+			} else {
+				index = function( x ) {
+					// Allow for rounding error; e.g., (0.3-0)/0.1 = 2.9999999999999996:
+					return Math.floor( ( x - opts.origin ) / interval + 1e-9 );
+				};
+				step = function( k ) { return k + 1; };
+				back = function( k ) { return k - 1; };
+				value = function( k ) {
+					var x = opts.origin + k*interval;
+					return isTime ? new Date( x ) : x;
+				};
+			}; // end IF/ELSE
+
+			// Group the defined y values by bucket:
+			_.each( data, function( d ) {
+				x = isTime ? App.Utils.parseTime( d[ opts.x ], opts.timeParse ) : d[ opts.x ];
+				if ( x === null || !_.isFinite( +x ) ) {
+					return;
+				}; // end IF
+				k = index( interval.floor ? x : +x );
+				groups[ k ] = groups[ k ] || [];
+				y = d[ opts.y ];
+				if ( y !== null && y !== undefined && _.isFinite( y ) ) {
+					groups[ k ].push( +y );
+				}; // end IF
+			});
+
+			// Emit a point for each bucket holding data. A run of empty buckets is marked by its first and last buckets, such that the run appears as missing values (or zero counts) without emitting a point for every bucket, as an outlier or a small interval may span millions of buckets:
+			keys = _.map( _.keys( groups ), Number ).sort( function( a, b ) { return a - b; } );
+			_.each( keys, function( k, i ) {
+				var next = keys[ i+1 ],
+					first, last;
+				emit( k );
+				if ( next === undefined ) {
+					return;
+				}; // end IF
+				first = step( k );
+				if ( first < next ) {
+					emit( first );
+					last = back( next );
+					if ( last > first ) {
+						emit( last );
+					}; // end IF
+				}; // end IF
+			});
+
+			return points;
+
+			function emit( k ) {
+				var point = {};
+				point[ opts.x ] = value( k );
+				point[ opts.y ] = reduce( groups[ k ] || [] );
+				points.push( point );
+			}; // end FUNCTION emit()
+
+		}; // end FUNCTION bucket()
+
+	}
+
+});
+
+
+
+
+//////////////////////
+//	  	VIEWS 		//
+//////////////////////
+
+
+// Create the base chart layer (the canvas):
+App.Views.ChartBase = Backbone.View.extend({
+
+	// Named layers comprising the view; see App.Layers:
+	layers: ['base'],
+
+	initialize: function( options ) {
+		// 
+	},
 
 	render: function() {
 
-		// [1] Create the canvas, [2] Generate the axes
-		this.initCanvas()
-			.initAxes();
+		this.trigger( 'before:render', this );
+
+		// Rendering again replaces the rendered chart:
+		if ( this.layer ) {
+			this.teardown();
+		}; // end IF
+
+		this.renderLayers();
+
+		this.trigger( 'after:render', this );
+
+		return this;
+
+	},
+
+	update: function( attrs, options ) {
+
+		this.trigger( 'before:update', this );
+
+		if ( attrs ) {
+			this.model.set( attrs, options );
+		}; // end IF
+
+		// Re-render the chart, such that every option (e.g., annotations, interpolation and missing value handling) takes effect and the chart is in line with its data:
+		if ( this.layer ) {
+			this.teardown()
+				.renderLayers();
+		}; // end IF
+
+		this.trigger( 'after:update', this );
+
+		return this;
+
+	},
+
+	destroy: function() {
+
+		this.trigger( 'before:destroy', this );
+
+		if ( this.layer ) {
+			this.teardown();
+		}; // end IF
+
+		this.trigger( 'after:destroy', this );
+
+		// Remove any listeners bound to the view itself:
+		this.off();
+
+		return this;
+
+	},
+
+	renderLayers: function() {
+
+		// Run the render pipeline derived from the view's layers:
+		_.each( App.Layers.pipeline( this.layers ), function( step ) {
+			this[ step ]();
+		}, this );
+
+		return this;
+
+	},
+
+	teardown: function() {
+
+		// Release the resources of each layer, in reverse pipeline order:
+		_.each( App.Layers.resolve( this.layers ).reverse(), function( name ) {
+			var hook = App.Layers.get( name ).teardown;
+			if ( hook ) {
+				this[ hook ]();
+			}; // end IF
+		}, this );
+
+		// Remove model and collection listeners:
+		this.stopListening();
+
+		// Interrupt running transitions: (a newer transition on an element supersedes any earlier transition)
+		this.layer.container.selectAll('*')
+			.transition()
+				.duration(0);
+
+		// Remove the chart, together with its event handlers:
+		this.layer.container.remove();
+
+		this.layer = null;
+
+		return this;
+
+	},
+
+	initCanvas: function() {
+
+		// Initialize the layers object:
+		this.layer = {};
+
+		// In responsive mode, the canvas width tracks the container width:
+		if ( this.model.get('responsive') ) {
+			this.model.set( 'canvas.width', this.containerWidth(), {silent: true} );
+		}; // end IF
+
+		// Get the graph size:
+		this.model.set( '_graph', this.graphSize() );
+
+		// Create local variables to make the code less verbose:
+		var element = this.el,
+			canvas = this.model.get('canvas'),
+			margin = this.model.get('margin'),
+			graph = this.model.get('_graph');
+
+		// Create an HTML <figure> container to hold the chart:
+		this.layer.container = d3.select( element ).append('figure')
+			.attr('width', canvas.width)
+			.attr('class', 'mvcChart');
+
+		// Apply the chart theme:
+		this.theme();
+		
+		// Create the canvas:
+		this.layer.base = this.layer.container.append("svg:svg")
+			.attr('width', canvas.width)
+			.attr('height', canvas.height)
+			.attr('class', 'base');
+
+		// Initialize the chart area:
+		this.layer.chart = this.layer.base.append("svg:g")
+			.attr('transform', 'translate(' + margin.left + ',' + margin.top + ')')
+			.attr('class', 'chart');
+
+		// Append a path clipper, defining the data viewport: (ids are unique across charts, including charts which have been destroyed)
+		var clipPathID = _.uniqueId( 'graphClipPath' );
+
+		this.model.set( '_clipPath', '#' + clipPathID );
+
+		this.layer.clipRect = this.layer.chart.append("svg:defs")
+			.append("svg:clipPath")
+				.attr("id", clipPathID)
+				.append("svg:rect")
+					.attr("width", graph.width)
+					.attr("height", graph.height);
+
+		// Surface the problems reported by the data collection and by the library as chart reports:
+		this.bindReports();
+
+		// Surface errors and warnings within the chart:
+		if ( this.model.get('errorPanel') ) {
+			this.initPanel();
+		}; // end IF
+
+		return this;
+
+	},
+
+	bindReports: function() {
+
+		var model = this.model;
+
+		// Forward reports to the chart model, both those made before the chart was rendered (e.g., malformed input parsed upon fetch) and new ones:
+		_.each( [ App.Reports, this.collection ], function( reporter ) {
+
+			if ( !reporter || !reporter.reports ) {
+				return;
+			}; // end IF
+
+			_.each( reporter.reports, forward );
+
+			this.listenTo( reporter, 'error warning', function( reporter, report ) {
+				forward( report );
+			});
+
+		}, this );
+
+		return this;
+
+		function forward( report ) {
+			// Ignore Backbone request errors, which are not reports, and reports already forwarded, e.g., upon an earlier render:
+			if ( report && report.code && !_.contains( model.reports, report ) ) {
+				model.record( report );
+			}; // end IF
+		}; // end FUNCTION forward()
+
+	},
+
+	initPanel: function() {
+
+		// Create a panel listing reported errors and warnings:
+		this.layer.panel = this.layer.container.append('div')
+			.attr('class', 'chart-panel');
+
+		// Show problems reported before the chart was rendered and listen for new reports:
+		_.each( this.model.reports, function( report ) {
+			this.notify( this.model, report );
+		}, this );
+
+		this.listenTo( this.model, 'error warning', this.notify );
+
+		return this;
+
+	},
+
+	notify: function( model, report ) {
+
+		// Ignore Backbone request errors, which are not reports:
+		if ( !report || !report.code ) {
+			return this;
+		}; // end IF
+
+		var item = this.layer.panel.append('div')
+			.attr('class', 'chart-message ' + report.level)
+			.attr('data-code', report.code);
+
+		item.append('span')
+			.attr('class', 'chart-message-code')
+			.text( report.code );
+
+		item.append('span')
+			.attr('class', 'chart-message-text')
+			.text( report.message );
+
+		// Allow messages to be dismissed:
+		item.append('span')
+			.attr('class', 'chart-message-dismiss')
+			.text('\u00d7')
+			.on('click', function() {
+				item.remove();
+			});
+
+		return this;
+
+	},
+
+	graphSize: function() {
+		var canvas = this.model.get('canvas'),
+			margin = this.model.get('margin');
+		return {
+			width: canvas.width - margin.left - margin.right,
+			height: canvas.height - margin.top - margin.bottom
+		}
+	},
+
+	theme: function() {
+
+		var name = this.model.get('theme'),
+			container = this.layer.container;
+
+		// Without the theme registry (js/themes.js), charts keep the default styling of css/style.css:
+		if ( !App.Themes ) {
+			return this;
+		}; // end IF
+
+		// Ensure the theme stylesheet is present and class the container, removing any previous theme class:
+		App.Themes.inject( name );
+
+		_.each( App.Themes.list(), function( theme ) {
+			container.classed( 'theme-' + theme, theme === name );
+		});
+
+		return this;
+
+	},
+
+	containerWidth: function() {
+		// The responsive option is either true, to fill the container, or the fraction of the container width to fill:
+		var fraction = this.model.get('responsive');
+		return Math.floor( this.$el.width() * ( fraction === true ? 1 : fraction ) );
+	},
+
+	layerGroup: function( name ) {
+
+		var group = this.layer.chart.select('.layer-' + name);
+
+		if ( !group.empty() ) {
+			return group;
+		}; // end IF
+
+		// Create a group for the layer's elements, inserted before the first group of a layer having a higher z-index:
+		var zIndex = App.Layers.get( name ).zIndex,
+			above = _.find( this.layer.chart.selectAll('.layer')[0], function( node ) {
+				return App.Layers.get( node.getAttribute('data-layer') ).zIndex > zIndex;
+			});
+
+		group = this.layer.chart.append('svg:g')
+			.attr('class', 'layer layer-' + name)
+			.attr('data-layer', name);
+
+		if ( above ) {
+			this.layer.chart.node().insertBefore( group.node(), above );
+		}; // end IF
+
+		return group;
+
+	},
+
+	resize: function() {
+
+		// Resize the elements of each layer, in pipeline order:
+		_.each( App.Layers.resolve( this.layers ), function( name ) {
+			var hook = App.Layers.get( name ).resize;
+			if ( hook ) {
+				this[ hook ]();
+			}; // end IF
+		}, this );
+
+		return this;
+
+	},
+
+	resizeCanvas: function() {
+
+		// Recompute the graph size:
+		this.model.set( '_graph', this.graphSize() );
+
+		var canvas = this.model.get('canvas'),
+			margin = this.model.get('margin'),
+			graph = this.model.get('_graph');
+
+		// Resize the canvas, chart area and path clipper in place:
+		this.layer.container.attr('width', canvas.width);
+
+		this.layer.base
+			.attr('width', canvas.width)
+			.attr('height', canvas.height);
+
+		this.layer.chart.attr('transform', 'translate(' + margin.left + ',' + margin.top + ')');
+
+		this.layer.clipRect
+			.attr('width', graph.width)
+			.attr('height', graph.height);
+
+		return this;
+
+	}
+
+});
+
+
+
+// Create the Axes layer:
+App.Views.ChartArea = App.Views.ChartBase.extend({
+
+	layers: ['base', 'axes'],
+
+	initialize: function( options ) {
+		// This overrides any inherited initialize functions.
+	},
+
+	initAxes: function() {
+
+		// Extend the layer object:
+		this.layer.axis = {};
+		this.layer.grid = {};
+
+		// Set the scales and the axes:
+		this.xScale()
+			.yScale()
+			.y2Scale()
+			.xAxis()
+			.yAxis()
+			.y2Axis();
+
+		// Create the axes, each having a label:
+		_.each( ['x', 'y', 'y2'], function( axis ) {
+
+			this.layer.axis[ axis ] = this.layerGroup('axes').append("svg:g")
+				.attr("class", axis + " axis");
+
+			this.layer.axis[ axis ].append("svg:text")
+				.attr("text-anchor", "middle")
+				.attr("class", "label")
+				.text( this.model.get( axis + 'Label' ) );
+
+		}, this );
+
+		// Create the gridlines beneath the chart layers: (gridlines share the scales and ticks of their axes)
+		var grid = this.layer.chart.insert("svg:g", ".layer")
+			.attr("class", "gridlines");
+
+		_.each( ['x', 'y', 'y2'], function( axis ) {
+			this.layer.grid[ axis ] = grid.append("svg:g")
+				.attr("class", axis + " grid");
+		}, this );
+
+		// Position and draw the axes:
+		this.placeAxes()
+			.drawAxis('x')
+			.drawAxis('y')
+			.drawAxis('y2');
+
+		// Only show the y-axes in use:
+		this.showAxes();
+
+		return this;
+		
+	},
+
+	placeAxes: function() {
+
+		var graph = this.model.get('_graph');
+
+		// Position each axis and its gridlines according to the axis orientation: (x: bottom or top; y and y2: left or right)
+		_.each( ['x', 'y', 'y2'], function( axis ) {
+
+			var orient = this.model.get('_' + axis + 'Axis').orient(),
+				translate;
+
+			switch ( orient ) {
+				case 'bottom':
+					translate = [ 0, graph.height ];
+					break;
+				case 'right':
+					translate = [ graph.width, 0 ];
+					break;
+				default:
+					translate = [ 0, 0 ];
+					break;
+			}; // end SWITCH orient
+
+			this.layer.axis[ axis ].attr("transform", "translate(" + translate + ")");
+			this.layer.grid[ axis ].attr("transform", "translate(" + translate + ")");
+
+			this.placeLabel( axis, orient );
+
+		}, this );
+
+		return this;
+
+	},
+
+	placeLabel: function( axis, orient ) {
+
+		var graph = this.model.get('_graph'),
+			margin = this.model.get('margin'),
+			offset = this.model.get('axes')[ axis ].labelOffset,
+			label = this.layer.axis[ axis ].select('.label');
+
+		// Default label offsets: 40 pixels below a bottom x-axis; otherwise, just within the margin beside the axis
+		if ( offset === null ) {
+			offset = ( orient === 'bottom' ) ? 40 : margin[ orient ] - 6;
+		}; // end IF
+
+		switch ( orient ) {
+			case 'bottom':
+			case 'top':
+				label.attr("transform", null)
+					.attr("x", graph.width / 2)
+					.attr("y", ( orient === 'bottom' ) ? offset : -offset)
+					.attr("dy", null);
+				break;
+			default:
+				// y-axis labels are rotated; the label is offset to the left or right of the axis:
+				label.attr("transform", "rotate(-90)")
+					.attr("x", -(graph.height / 2))
+					.attr("y", ( orient === 'left' ) ? -offset : offset)
+					.attr("dy", ( orient === 'left' ) ? ".71em" : null);
+				break;
+		}; // end SWITCH orient
+
+		return this;
+
+	},
+
+	drawAxis: function( axis, options ) {
+
+		// Draw an axis (x, y or y2) and its gridlines; animate if the options specify transition properties:
+		var generator = this.model.get('_' + axis + 'Axis'),
+			selection = this.layer.axis[ axis ],
+			grid = this.layer.grid[ axis ];
+
+		if ( options && options.transition ) {
+			selection = selection.transition()
+				.duration( options.transition.duration )
+				.ease( options.transition.easing );
+			grid = grid.transition()
+				.duration( options.transition.duration )
+				.ease( options.transition.easing );
+		}; // end IF
+
+		selection.call( generator );
+
+		// Rotate the tick labels: (new ticks are created immediately, even when transitioning)
+		this.rotateTicks( axis );
+
+		if ( this.model.get('axes')[ axis ].grid ) {
+			grid.call( this.gridAxis( axis ) );
+		}; // end IF
+
+		return this;
+
+	},
+
+	gridAxis: function( axis ) {
+
+		// Gridlines are ticks spanning the chart area, without labels or domain path:
+		var generator = this.model.get('_' + axis + 'Axis'),
+			graph = this.model.get('_graph'),
+			extent = ( axis === 'x' ) ? graph.height : graph.width;
+
+		var grid = d3.svg.axis()
+			.scale( generator.scale() )
+			.orient( generator.orient() )
+			.tickValues( generator.tickValues() )
+			.tickSize( -extent, 0, 0 )
+			.tickFormat( '' );
+
+		return grid.ticks.apply( grid, generator.ticks() );
+
+	},
+
+	rotateTicks: function( axis ) {
+
+		var generator = this.model.get('_' + axis + 'Axis'),
+			angle = this.model.get('axes')[ axis ].tickRotation,
+			orient = generator.orient(),
+			labels = this.layer.axis[ axis ].selectAll('.tick text');
+
+		if ( !angle ) {
+			labels.attr('transform', null);
+			return this;
+		}; // end IF
+
+		// Rotate each label about the point at which the axis positions it:
+		var offset = Math.max( generator.tickSize(), 0 ) + generator.tickPadding(),
+			pivot = {
+				'bottom': [ 0, offset ],
+				'top': [ 0, -offset ],
+				'left': [ -offset, 0 ],
+				'right': [ offset, 0 ]
+			}[ orient ];
+
+		labels.attr('transform', 'rotate(' + angle + ',' + pivot + ')');
+
+		// x tick labels hang from their tick, reading toward it:
+		if ( orient === 'bottom' || orient === 'top' ) {
+			labels.attr('dy', '.35em')
+				.style('text-anchor', ( ( angle < 0 ) === ( orient === 'bottom' ) ) ? 'end' : 'start');
+		}; // end IF
+
+		return this;
+
+	},
+
+	sides: function() {
+		// Without data, the right y-axis is shown once configured:
+		return {
+			'left': true,
+			'right': !!( this.model.get('y2Label') || this.model.get('y2Domain').length )
+		};
+	},
+
+	showAxes: function() {
+
+		var sides = this.sides(),
+			axes = this.model.get('axes');
+
+		this.layer.axis.y.style('display', sides.left ? null : 'none');
+		this.layer.axis.y2.style('display', sides.right ? null : 'none');
+
+		// Gridlines are shown if configured and their axis is shown:
+		this.layer.grid.x.style('display', axes.x.grid ? null : 'none');
+		this.layer.grid.y.style('display', ( sides.left && axes.y.grid ) ? null : 'none');
+		this.layer.grid.y2.style('display', ( sides.right && axes.y2.grid ) ? null : 'none');
+
+		return this;
+
+	},
+
+
+	xScale: function( __ ) {
+
+		var xScale;
+		if (!arguments.length) {
+			xScale = this.scale( this.model.get('xScaleType'), 'x' ).nice(); // Default
+		}else {
+			// Allow external setting of the scale:
+			xScale = __; 
+		}; // end IF/ELSE
+
+		// Get the graph width:
+		var width = this.model.get('_graph').width;
+		
+		// Set the scale range:
+		xScale.range( [0, width] );
+
+		// Update our chart model:
+		this.model.set('_xScale', xScale);
+
+		return this;
+
+	},
+
+	yScale: function( __ ) {
+
+		var yScale;
+		if (!arguments.length) {
+			yScale = this.scale( this.model.get('yScaleType'), 'y' ).nice(); // Default
+		}else {
+			// Allow external setting of the scale:
+			yScale = __; 
+		}; // end IF/ELSE
+
+		// Get the graph height:
+		var height = this.model.get('_graph').height;
+
+		// Set the scale range:
+		yScale.range( [height, 0] );
+
+		// Update our chart model:
+		this.model.set('_yScale', yScale);	
+
+		return this;	
+			
+	},
+
+	y2Scale: function( __ ) {
+
+		var y2Scale;
+		if (!arguments.length) {
+			y2Scale = this.scale( this.model.get('y2ScaleType'), 'y2' ).nice(); // Default
+		}else {
+			// Allow external setting of the scale:
+			y2Scale = __; 
+		}; // end IF/ELSE
+
+		// Set the scale range:
+		y2Scale.range( [this.model.get('_graph').height, 0] );
+
+		// Update our chart model:
+		this.model.set('_y2Scale', y2Scale);
+
+		return this;
+
+	},
+
+	scale: function( type, axis ) {
+
+		// Get the configuration of the axis for which the scale is created: (x, y or y2; default x)
+		var props = this.model.get('axes')[ axis || 'x' ];
+
+		// Create a new scale of the specified type:
+		switch ( type ) {
+
+			case 'time':
+				return d3.time.scale();
+
+			case 'log':
+				return d3.scale.log();
+
+			case 'pow':
+				return d3.scale.pow().exponent( props.exponent );
+
+			case 'sqrt':
+				return d3.scale.sqrt();
+
+			case 'symlog':
+				return App.Utils.symlog().constant( props.constant );
+
+			default:
+				return d3.scale.linear();
+
+		}; // end SWITCH type
+
+	},
+
+	xAxis: function( __ ) {
+
+		// Allow external setting of the axis orientation; otherwise, the configured orientation:
+		var xAxis = this.axis( 'x', this.model.get('_xScale'), __ );
+
+		// Update our chart model:
+		this.model.set('_xAxis', xAxis);
+
+		return this;
+
+	},
+
+	yAxis: function( __ ) {
+		
+		// Allow external setting of the axis orientation; otherwise, the configured orientation:
+		var yAxis = this.axis( 'y', this.model.get('_yScale'), __ );
+
+		// Update our chart model:
+		this.model.set('_yAxis', yAxis);
+
+		return this;
+
+	},
+
+	y2Axis: function( __ ) {
+
+		// Allow external setting of the axis orientation; otherwise, the configured orientation:
+		var y2Axis = this.axis( 'y2', this.model.get('_y2Scale'), __ );
+
+		// Update our chart model:
+		this.model.set('_y2Axis', y2Axis);
+
+		return this;
+
+	},
+
+	axis: function( axis, scale, orient ) {
+
+		// Create an axis generator from the configuration of the axis: (axis is one of x, y or y2)
+		var props = this.model.get('axes')[ axis ],
+			generator = d3.svg.axis()
+				.scale( scale )
+				.orient( orient || props.orient )
+				.tickSize( props.tickSize )
+				.tickValues( props.tickValues )
+				.tickFormat( this.tickFormat( axis ) );
+
+		if ( props.ticks !== null ) {
+			generator.ticks( props.ticks );
+		}; // end IF
+
+		return generator;
+
+	},
+
+	tickFormat: function( axis ) {
+
+		// Format specifiers are converted to format functions; null leaves the scale's default: (axis is one of x, y or y2)
+		var format = this.model.get('axes')[ axis ].tickFormat;
+
+		if ( !_.isString( format ) ) {
+			return format;
+		}; // end IF
+
+		return ( this.model.get( axis + 'ScaleType' ) === 'time' ) ? d3.time.format( format ) : d3.format( format );
+
+	},
+
+	updateAxes: function( model, newVal, options ){
+
+		// Axes:
+		this.drawAxis( 'x', options )
+			.drawAxis( 'y', options )
+			.drawAxis( 'y2', options );
+
+	},
+
+	refreshAxes: function( model, newVal ) {
+
+		// Refresh our axes: (the scales are kept, as they are shared by the path generators)
+		this.xAxis()
+			.yAxis()
+			.y2Axis();
+
+		// Axes Labels
+		this.layer.axis.x.select('.label')
+			.text( this.model.get('xLabel') );
+		
+		this.layer.axis.y.select('.label')
+			.text( this.model.get('yLabel') );
+
+		this.layer.axis.y2.select('.label')
+			.text( this.model.get('y2Label') );
+
+		// Reposition the axes, as their orientations may have changed, and redraw them:
+		this.placeAxes()
+			.drawAxis('x')
+			.drawAxis('y')
+			.drawAxis('y2');
+
+		this.showAxes();
+
+	},
+
+	resizeAxes: function() {
+
+		var graph = this.model.get('_graph');
+
+		// Update the scale ranges: (the scales are shared by the axis and path generators)
+		this.model.get('_xScale').range( [0, graph.width] );
+		this.model.get('_yScale').range( [graph.height, 0] );
+		this.model.get('_y2Scale').range( [graph.height, 0] );
+
+		// Reposition the axes and their labels, and redraw the axes and gridlines:
+		this.placeAxes()
+			.drawAxis('x')
+			.drawAxis('y')
+			.drawAxis('y2');
+
+		return this;
+
+	}
+
+});
+
+
+
+
+
+
+// Create the line chart layer:
+App.Views.DataLayer = App.Views.ChartArea.extend({
+
+	layers: ['base', 'axes', 'data'],
+
+	initialize: function( options ) {	
+		// This overrides any inherited initialize functions.
+	},
+
+	draw: function() {
+
+		// Create the path generator:
+		this.line();
+
+		// Get the path generator and series accessor:
+		var line = this.model.get('_line'),
+			seriesValues = this.model.get('_seriesValues');
+		
+		// Generate the lines:
+		this.layer.data.paths.attr("d", function(d,i) { 
+				return line( seriesValues( d ), d ); 
+			} );
+
+		// Generate the uncertainty bands:
+		this.band()
+			.drawBands( this.layer.data.bands );
+
+		// Apply the data series styles:
+		this.colors()
+			.style();
+
+		// Initialize how the plot is updated:
+		this.initUpdate();
+
+		return this;
+		
+	},
+
+	colors: function() {
+
+		// The palette is keyed by data series, so colors stay with a data series when series are reordered or added: (for 'auto', the palette is provided by the chart theme)
+		var colors = this.model.get('colors'),
+			palette = d3.scale.ordinal().range( ( colors != 'auto' ) ? colors : this.palette() );
+
+		// Update our chart model:
+		this.model.set('_colors', palette);
+
+		return this;
+
+	},
+
+	palette: function() {
+		// Without the theme registry (js/themes.js), use the default palette of the light theme:
+		return App.Themes ? App.Themes.get( this.model.get('theme') ).palette : d3.scale.category10().range();
+	},
+
+	style: function() {
+
+		// Get the palette and data series key:
+		var palette = this.model.get('_colors'),
+			key = this.model.get('_key'),
+			classes = this.model.get('colors') != 'auto';
+
+		var dashes = {
+			'solid': null,
+			'dashed': '6,4',
+			'dotted': '2,3'
+		};
+
+		this.layer.data.paths.each( function(d,i) {
+
+			var path = d3.select(this),
+				color = d.get('color');
+
+			// Remove any previously assigned color class:
+			if ( classes ) {
+				_.each( palette.range(), function( colorClass ) {
+					path.classed( colorClass, false );
+				});
+			}; // end IF
+
+			if ( color ) {
+				// The data series specifies its own color:
+				path.style('stroke', color);
+			} else if ( classes ) {
+				// Color classes correspond to externally defined CSS classes:
+				path.style('stroke', null)
+					.classed( palette( key( d ) ), true );
+			} else {
+				path.style('stroke', palette( key( d ) ));
+			}; // end IF/ELSEIF/ELSE
+
+			path.style('stroke-dasharray', dashes[ d.get('lineStyle') ] || null)
+				.style('display', (d.get('visible') === false) ? 'none' : null);
+
+		});
+
+		// Bands are filled, and error bars stroked, using the data series color: (clearing the other property, as the uncertainty option may change)
+		var property = ( this.model.get('uncertainty') === 'band' ) ? 'fill' : 'stroke',
+			other = ( property === 'fill' ) ? 'stroke' : 'fill';
+
+		this.layer.data.bands.each( function(d) {
+
+			var band = d3.select(this),
+				color = d.get('color');
+
+			band.style(other, null);
+
+			if ( classes ) {
+				_.each( palette.range(), function( colorClass ) {
+					band.classed( colorClass, false );
+				});
+			}; // end IF
+
+			if ( color ) {
+				band.style(property, color);
+			} else if ( classes ) {
+				band.style(property, null)
+					.classed( palette( key( d ) ), true );
+			} else {
+				band.style(property, palette( key( d ) ));
+			}; // end IF/ELSEIF/ELSE
+
+			band.classed('errorbars', property === 'stroke')
+				.style('display', (d.get('visible') === false) ? 'none' : null);
+
+		});
+
+		return this;
+
+	},
+
+	seriesColor: function( d ) {
+
+		// Get the color used to draw a data series: (for color classes, the class name is returned)
+		var palette = this.model.get('_colors'),
+			key = this.model.get('_key');
+
+		return d.get('color') || palette( key( d ) );
+
+	},
+
+	redraw: function( model, newVal, options ) {
+		// Get the path generator and series accessor:
+		var line = this.model.get('_line'),
+			seriesValues = this.model.get('_seriesValues'),
+			paths = this.layer.data.paths;
+
+		// Animate the paths if the change specifies transition properties:
+		if ( options && options.transition ) {
+			paths = paths.transition()
+				.duration( options.transition.duration )
+				.ease( options.transition.easing );
+		}; // end IF
+		
+		paths.attr('d', function(d,i) { 
+			return line( seriesValues( d ), d );
+		});
+
+		this.drawBands( this.layer.data.bands, options );
+	},
+
+	initData: function() {
 
-		return this;
+		// Resolve the data accessors:
+		this.accessors();
 
-	},
+		// Get the number of data series:
+		var numSeries = this.collection.length;
 
-	initAxes: function() {
+		// NOTE: data is an array of arrays; we perform a shallow copy to avoid duplication; we store the copy as a convenience method
+		this.data = this.collection.slice( 0, numSeries );
 
-		// Extend the layer object:
-		this.layer.axis = {};
+		// Store the number of time series:
+		this.model.set('_numSeries', numSeries );
 
-		// Set the scales and both axis:
-		this.xScale()
-			.yScale()
-			.xAxis()
-			.yAxis();			
+		// Initialize the sliding window buffers:
+		this.initBuffers();
 
-		// Local variables:
-		var graph = this.model.get('_graph'),
-			margin = this.model.get('margin'),
-			xLabel = this.model.get('xLabel'),
-			yLabel = this.model.get('yLabel'),
-			xAxis = this.model.get('_xAxis'),
-			yAxis = this.model.get('_yAxis');		
-
-		// Create the axes:
-		this.layer.axis.x = this.layer.chart.append("svg:g")
-			.attr("class", "x axis")
-			.attr("transform", "translate(0," + graph.height + ")")
-			.call( xAxis );
-
-		this.layer.axis.x.append("svg:text")
-			.attr("y", 40)
-			.attr("x", graph.width / 2)
-			.attr("text-anchor", "middle")
-			.attr("class", "label")
-			.text( xLabel );
-
-		this.layer.axis.y = this.layer.chart.append("svg:g")
-			.attr("class", "y axis")
-			.call( yAxis );
-
-		this.layer.axis.y.append("svg:text")
-			.attr("transform", "rotate(-90)")
-			.attr("y", -(margin.left-6))
-			.attr("dy", ".71em")
-			.attr("x", -(graph.height / 2))
-			.attr("text-anchor", "middle")
-			.attr("class", "label")
-			.text( yLabel );
+		// Calculate the x- and y-offsets:
+		this.model.set( { 
+			'_xOffset': this.min('x'), 
+			'_yOffset': this.min('y') 
+		} );
 
 		return this;
-		
+
 	},
 
+	initBuffers: function() {
 
-	xScale: function( __ ) {
+		var size = this.model.get('windowSize'),
+			duration = this.model.get('windowDuration'),
+			seriesValues = this.model.get('_seriesValues');
 
-		var xScale;
-		if (!arguments.length) {
-			xScale = d3.scale.linear().nice(); // Default
-		}else {
-			// Allow external setting of the scale:
-			xScale = __; 
-		}; // end IF/ELSE
+		this.buffers = null;
 
-		// Get the graph width:
-		var width = this.model.get('_graph').width;
-		
-		// Set the scale range:
-		xScale.range( [0, width] );
+		if ( this.model.get('mode') !== 'window' || (!size && !duration) ) {
+			return this;
+		}; // end IF
 
-		// Update our chart model:
-		this.model.set('_xScale', xScale);
+		if ( !this.seriesAttribute() ) {
+			this.model.warning( 'BUFFERS_UNAVAILABLE', 'sliding window buffers require the seriesAccessor to be a property name. Buffers not created.', {
+				'seriesAccessor': this.model.get('seriesAccessor')
+			});
+			return this;
+		}; // end IF
+
+		this.buffers = {};
+
+		_.each( this.data, function(d) {
+			// Keep one point beyond the window edge as an offscreen buffer, so the left data edge matches the viewport:
+			this.buffers[ d.cid ] = new App.Utils.RingBuffer( size ? size+1 : null );
+			this.fillBuffer( d, seriesValues( d ) );
+		}, this);
 
 		return this;
 
 	},
 
-	yScale: function( __ ) {
+	fillBuffer: function( d, points ) {
 
-		var yScale;
-		if (!arguments.length) {
-			yScale = d3.scale.linear().nice(); // Default
-		}else {
-			// Allow external setting of the scale:
-			yScale = __; 
-		}; // end IF/ELSE
+		var buffer = this.buffers[ d.cid ],
+			duration = this.model.get('windowDuration'),
+			xValue = this.model.get('_xValue');
 
-		// Get the graph height:
-		var height = this.model.get('_graph').height;
+		_.each( points, function( point ) {
+			buffer.push( point );
+		});
 
-		// Set the scale range:
-		yScale.range( [height, 0] );
+		if ( duration ) {
+			// Evict points which have left the window, keeping the last point before the window edge:
+			while ( buffer.length > 2 && xValue( buffer.get(1) ) <= xValue( buffer.last() ) - duration ) {
+				buffer.shift();
+			}; // end WHILE
+		}; // end IF
 
-		// Update our chart model:
-		this.model.set('_yScale', yScale);	
+		// Replace the data points with the buffer contents: (silently, as this is not a data update; bypass backbone-nested, which would merge rather than replace the array)
+		Backbone.Model.prototype.set.call( d, this.seriesAttribute(), buffer.toArray(), {silent: true} );
 
-		return this;	
-			
-	},
+		return this;
 
-	xAxis: function( __ ) {
+	},
 
-		var xAxis = d3.svg.axis()
-			.scale( this.model.get('_xScale') );
+	buffer: function() {
 
-		if (!arguments.length) {
-			xAxis.orient('bottom'); // Default
-		}else {
-			// Allow external setting of the axis:
-			xAxis.orient( __ );
-		}
+		var seriesValues = this.model.get('_seriesValues'),
+			buffer, points;
 
-		// Update our chart model:
-		this.model.set('_xAxis', xAxis);
+		_.each( this.data, function(d) {
+			buffer = this.buffers[ d.cid ];
+			points = seriesValues( d );
+			// Points beyond the buffer contents have been added since the last update:
+			this.fillBuffer( d, points.slice( buffer.length ) );
+		}, this);
 
 		return this;
 
 	},
 
-	yAxis: function( __ ) {
-		
-		var yAxis = d3.svg.axis()
-			.scale( this.model.get('_yScale') );
+	seriesAttribute: function() {
 
-		if (!arguments.length) {
-			yAxis.orient('left'); // Default
-		}else {
-			// Allow external setting of the axis:
-			yAxis.orient( __ );
-		}
+		// Determine the data series attribute holding the data points: (for a custom accessor function, the attribute cannot be known)
+		var seriesAccessor = this.model.get('seriesAccessor');
 
-		// Update our chart model:
-		this.model.set('_yAxis', yAxis);
+		if ( _.isString( seriesAccessor ) ) {
+			return seriesAccessor;
+		} else if ( seriesAccessor === this.model.defaults.seriesAccessor ) {
+			return 'dataSeries';
+		}; // end IF/ELSEIF
 
-		return this;
+		return null;
 
 	},
 
-	updateAxes: function(){
+	tick: function( fcn ) {
 
-		var xAxis = this.model.get('_xAxis'),
-			yAxis = this.model.get('_yAxis');
+		// Coalesce updates triggered within the same tick (e.g., one per data series) into a single update:
+		var that = this,
+			pending = false;
 
-		// Axes:
-		this.layer.axis.x.call( xAxis );		
-		this.layer.axis.y.call( yAxis );
+		return function() {
+			if ( pending ) {
+				return;
+			}; // end IF
+			pending = true;
+			_.defer( function() {
+				pending = false;
+				// Skip updates for charts torn down in the meantime:
+				if ( that.layer ) {
+					fcn.call( that );
+				}; // end IF
+			});
+		};
 
 	},
 
-	refreshAxes: function( model, newVal ) {
+	accessors: function() {
 
-		// Refresh our scales and axes:
-		this.xScale()
-			.yScale()
-			.xAxis()
-			.yAxis();
+		var xAccessor = this.model.get('xAccessor'),
+			yAccessor = this.model.get('yAccessor'),
+			seriesAccessor = this.model.get('seriesAccessor'),
+			keyAccessor = this.model.get('keyAccessor');
 
-		var xAxis = this.model.get('_xAxis'),
-			yAxis = this.model.get('_yAxis');	
+		// Property names are converted to accessor functions: (data points are plain objects or arrays; data series are models)
+		var xValue = _.isString( xAccessor ) ? function(d) { return d[ xAccessor ]; } : xAccessor;
 
-		// Axes Labels
-		this.layer.axis.x.call( xAxis )
-			.selectAll('.label')
-			.text( this.model.get('xLabel') );
-		
-		this.layer.axis.y.call( yAxis )
-			.selectAll('.label')
-			.text( this.model.get('yLabel') );
+		// For a time axis, the collection parses x values into Dates once, as data is bound or added: (the property named by the x accessor, otherwise 'x'; accessor functions reading other values must return Dates)
+		if ( this.model.get('xScaleType') === 'time' ) {
+			this.collection.parseTime( this.model.get('timeParse'), _.isString( xAccessor ) ? xAccessor : 'x' );
+		}; // end IF
 
-	}
+		var yValue = _.isString( yAccessor ) ? function(d) { return d[ yAccessor ]; } : yAccessor,
+			seriesValues = _.isString( seriesAccessor ) ? function(d) { return d.get( seriesAccessor ); } : seriesAccessor,
+			lowerAccessor = this.model.get('lowerAccessor'),
+			upperAccessor = this.model.get('upperAccessor');
 
-});
+		this.model.set( {
+			'_xValue': xValue,
+			'_lowerValue': _.isString( lowerAccessor ) ? function(d) { return d[ lowerAccessor ]; } : lowerAccessor,
+			'_upperValue': _.isString( upperAccessor ) ? function(d) { return d[ upperAccessor ]; } : upperAccessor,
+			'_seriesValues': seriesValues,
+			'_key': _.isString( keyAccessor ) ? function(d) { return d.get( keyAccessor ); } : ( keyAccessor || function(d) { return d.id != null ? d.id : d.cid; } )
+		} );
 
+		// Determine how missing values are handled:
+		this.missing( yValue, seriesValues );
 
+		return this;
 
+	},
 
+	missing: function( yValue, seriesValues ) {
 
+		// A data point is missing if its y value is not a finite number:
+		var defined = function(d) { 
+			return _.isFinite( yValue( d ) ); 
+		};
 
-// Create the line chart layer:
-App.Views.DataLayer = App.Views.ChartArea.extend({
+		var definedValues = function(d) {
+			return _.filter( seriesValues( d ), defined );
+		};
 
-	initialize: function( options ) {	
-		// This overrides any inherited initialize functions.
-	},
+		if ( this.model.get('missing') === 'zero' ) {
+			// Missing values become zeros, so every data point is defined:
+			var value = yValue;
+			yValue = function(d) {
+				var y = value( d );
+				return _.isFinite( y ) ? y : 0;
+			};
+			defined = function() { return true; };
+			definedValues = seriesValues;
+		}; // end IF
 
-	render: function() {
+		// Update our chart model:
+		this.model.set( {
+			'_yValue': yValue,
+			'_defined': defined,
+			'_definedValues': definedValues
+		} );
 
-		// [1] Create the canvas, [2] Initialize the data, [3] Generate the axes, [4] Bind the data, [5] Plot the data
-		this.initCanvas()
-			.initData()
-			.initAxes() // TODO: need to switch the order. Draw the axes atop the data; order matters.
-			.bindData()
-			.draw();
-			
 		return this;
 
 	},
 
-	draw: function() {
+	min: function( key, side ) {
+		// Get the data accessors: (key is either 'x' or 'y'; missing values are ignored; for a side, only the data series plotted against that y-axis are considered)
+		var value = this.model.get( '_' + key + 'Value' ),
+			seriesValues = this.model.get('_definedValues');
 
-		// Create the path generator:
-		this.line();
+		if ( key === 'y' && this.model.get('uncertainty') ) {
+			// Include the lower bounds:
+			value = this.bounds( this.positive( value, key, side ), this.positive( this.model.get('_lowerValue'), key, side ), d3.min );
+		} else {
+			value = this.positive( value, key, side );
+		}; // end IF/ELSE
 
-		// Get the path generator:
-		var line = this.model.get('_line');
-		
-		// Generate the lines:
-		this.layer.data.paths.attr("d", function(d,i) { 
-				return line( d.get('dataSeries') ); 
-			} );
+		return d3.min( this.visibleData( side ), function(d) { 
+			return d3.min( seriesValues( d ), value ); 
+		});
+	},
 
+	max: function( key, side ) {
+		// Get the data accessors: (key is either 'x' or 'y'; missing values are ignored; for a side, only the data series plotted against that y-axis are considered)
+		var value = this.model.get( '_' + key + 'Value' ),
+			seriesValues = this.model.get('_definedValues');
 
-		if (this.model.get('colors') != 'auto') {
-			// Get the color choices:
-			var colorClasses = this.model.get('colors'),
-				numColors = colorClasses.length;
+		if ( key === 'y' && this.model.get('uncertainty') ) {
+			// Include the upper bounds:
+			value = this.bounds( this.positive( value, key, side ), this.positive( this.model.get('_upperValue'), key, side ), d3.max );
+		} else {
+			value = this.positive( value, key, side );
+		}; // end IF/ELSE
 
-			this.layer.data.paths.each( function(d,i) {
-				// Loop back through the colors if we run out!
-				var color = colorClasses[ i % numColors ];
-				d3.select(this).classed( color, 1 ); 
-			});
+		return d3.max( this.visibleData( side ), function(d) { 
+			return d3.max( seriesValues( d ), value ); 
+		});
+	},
 
-		}else {
-			// Generate the colors:
-			var color = d3.scale.category10();
+	positive: function( value, key, side ) {
+		// On a log axis, non-positive values are ignored:
+		if ( this.scaleType( key, side ) !== 'log' ) {
+			return value;
+		}; // end IF
+		return function(d) {
+			var v = value( d );
+			return ( v > 0 ) ? v : undefined;
+		};
+	},
 
-			this.layer.data.paths.style('stroke', function(d,i) { 
-				return color(i);
-			});
+	plottable: function( side ) {
 
-		}; // end IF/ELSE colors
+		// Return a predicate for the data points which can be plotted against the x-axis and a y-axis: (defined values which, on a log axis, are positive)
+		var defined = this.model.get('_defined'),
+			xValue = this.model.get('_xValue'),
+			yValue = this.model.get('_yValue'),
+			xLog = this.scaleType( 'x' ) === 'log',
+			yLog = this.scaleType( 'y', side ) === 'log';
 
-		// Initialize how the plot is updated:
-		this.update();
+		if ( !xLog && !yLog ) {
+			return defined;
+		}; // end IF
 
-		return this;
-		
-	},
+		return function(d) {
+			return defined( d ) && ( !xLog || xValue( d ) > 0 ) && ( !yLog || yValue( d ) > 0 );
+		};
 
-	redraw: function() {
-		// Get the path generator:
-		var line = this.model.get('_line');
-		
-		this.layer.data.paths.attr('d', function(d,i) { 
-			return line( d.get('dataSeries') );
-		});
 	},
 
-	initData: function() {
-
-		// Get the number of data series:
-		var numSeries = this.collection.length;
-
-		// NOTE: data is an array of arrays; we perform a shallow copy to avoid duplication; we store the copy as a convenience method
-		this.data = this.collection.slice( 0, numSeries );
-
-		// Store the number of time series:
-		this.model.set('_numSeries', numSeries );
+	plottedValues: function( d ) {
+		// Get the data points of a data series which can be plotted:
+		return _.filter( this.model.get('_definedValues')( d ), this.plottable( this.side( d ) ) );
+	},
 
-		// Calculate the x- and y-offsets:
-		this.model.set( { 
-			'_xOffset': this.min('x'), 
-			'_yOffset': this.min('y') 
-		} );
+	bounds: function( value, bound, extremum ) {
+		// Return an accessor for the extremum of a data point's value and bound: (missing bounds are ignored)
+		return function(d) {
+			return extremum( [ value( d ), bound( d ) ], function(v) {
+				return _.isFinite( v ) ? v : undefined;
+			});
+		};
+	},
 
-		return this;
+	visibleData: function( side ) {
+		// Hidden data series do not contribute to the axis domains: (nor do data series plotted against the other y-axis)
+		return _.filter( this.data, function(d) {
+			return d.get('visible') !== false && ( !side || this.side( d ) === side );
+		}, this );
+	},
 
+	side: function( d ) {
+		// Data series are plotted against the left y-axis unless assigned to the right:
+		return ( d.get('axis') === 'right' ) ? 'right' : 'left';
 	},
 
-	min: function( key ) {
-		return d3.min( this.data, function(d) { 
-			return d3.min( d.get('dataSeries'), function(dataPt) { 
-				return dataPt[ key ]; 
-			}); 
-		});
+	seriesScale: function( d ) {
+		// Get the y-scale against which a data series is plotted:
+		return this.model.get( ( this.side( d ) === 'right' ) ? '_y2Scale' : '_yScale' );
 	},
 
-	max: function( key ) {
-		return d3.max( this.data, function(d) { 
-			return d3.max( d.get('dataSeries'), function(dataPt) { 
-				return dataPt[ key ]; 
-			}); 
-		});
+	sides: function() {
+		// Show the y-axes having data series assigned; without any, the left y-axis is shown:
+		var right = _.some( this.data, function(d) {
+				return this.side( d ) === 'right';
+			}, this ),
+			left = !right || _.some( this.data, function(d) {
+				return this.side( d ) === 'left';
+			}, this );
+
+		return {
+			'left': left,
+			'right': right
+		};
 	},
 
 	bindData: function() {
@@ -691,41 +2779,93 @@ App.Views.DataLayer = App.Views.ChartArea.extend({
 		this.layer.data = {};
 
 		// Create a group for all data series:
-		this.layer.data.base = this.layer.chart.append("svg:g")
+		this.layer.data.base = this.layerGroup('data').append("svg:g")
 				.attr("class", "data-series");
 
 		// Include a path clipper to prevent layer spillover:
 		this.layer.data.clipPath = this.layer.data.base.append("svg:g") 
 			.attr("clip-path", "url(" + this.model.get( '_clipPath' ) +  ")");
 
+		// Create a group for the uncertainty bands, beneath the lines:
+		this.layer.data.uncertainty = this.layer.data.clipPath.append("svg:g")
+			.attr("class", "uncertainty");
+
 		// Bind the data and initialize the path elements:
-		this.layer.data.paths = this.layer.data.clipPath.selectAll(".line")
-			.data( this.data ) 
-		  .enter() // create the enter selection
+		this.join();
+
+		return this;
+
+	},
+
+	join: function() {
+
+		var data = this.data;
+
+		// Bind the data:
+		var paths = this.layer.data.clipPath.selectAll(".line")
+			.data( data, this.model.get('_key') );
+
+		// Create the enter selection, initializing a path element for each new data series:
+		this.layer.data.enter = paths.enter()
 		  	.append("svg:path")
-				.attr("class", function(d,i) { 
-					return "line " + "line" + i; 
+				.attr("class", function(d) { 
+					var str = "line " + "line" + _.indexOf( data, d );
+					if ( d.id != null ) {
+						// Allow CSS targeting of individual data series:
+						str += " series-" + d.id;
+					}; // end IF
+					return str; 
+				});
+
+		// Create the exit selection, holding the paths of removed data series: (declassed, so they are no longer selected as lines)
+		this.layer.data.exit = paths.exit()
+			.classed('line', false);
+
+		// The update selection includes the entered paths:
+		this.layer.data.paths = paths;
+
+		// Bind the data to the uncertainty bands:
+		var bands = this.layer.data.uncertainty.selectAll(".band")
+			.data( this.model.get('uncertainty') ? data : [], this.model.get('_key') );
+
+		this.layer.data.bandEnter = bands.enter()
+			.append("svg:path")
+				.attr("class", function(d) {
+					return "band " + "band" + _.indexOf( data, d ) + ( d.id != null ? " series-" + d.id : "" );
 				});
 
+		bands.exit()
+			.remove();
+
+		this.layer.data.bands = bands;
+
 		return this;
 
 	},
 
 	line: function( __ ) {
 
-		// Get the scales and interpolation:
+		// Get the scales, accessors and interpolation:
 		var xScale = this.model.get('_xScale'),
-			yScale = this.model.get('_yScale'),
-			interpolation = this.model.get('interpolation');
+			xValue = this.model.get('_xValue'),
+			yValue = this.model.get('_yValue'),
+			interpolation = this.model.get('interpolation'),
+			interpolate = this.model.get('missing') === 'interpolate',
+			reduce = this.downsample();
 		
-		var line = d3.svg.line();
+		var line;
 		if (!arguments.length) {
-			// Set the default:
+			// Set the default: (one generator per y-axis; the generator is chosen by the data series, which is passed as the second argument)
 
-			line
-				.x( function(d) { return xScale( d.x ); } )
-				.y( function(d) { return yScale( d.y ); } )
-				.interpolate( interpolation );
+			var generators = {
+				'left': generator( this.model.get('_yScale'), this.plottable( 'left' ) ),
+				'right': generator( this.model.get('_y2Scale'), this.plottable( 'right' ) )
+			},
+				side = _.bind( this.side, this );
+
+			line = function( data, series ) {
+				return generators[ series ? side( series ) : 'left' ]( data );
+			};
 
 		}else {
 			// Allow external setting of the line path:
@@ -736,101 +2876,340 @@ App.Views.DataLayer = App.Views.ChartArea.extend({
 		this.model.set('_line', line);
 
 		return this;
+
+		function generator( yScale, defined ) {
+
+			var path = d3.svg.line()
+				.x( function(d) { return xScale( xValue( d ) ); } )
+				.y( function(d) { return yScale( yValue( d ) ); } )
+				.defined( defined ) // breaks the line at missing values (and, on a log axis, at non-positive values)
+				.interpolate( interpolation );
+
+			if ( !interpolate && !reduce ) {
+				return path;
+			}; // end IF
+
+			return function( data ) {
+				if ( interpolate ) {
+					// Connect the points on either side of missing values by dropping the missing values before generating the path:
+					data = _.filter( data, defined );
+				}; // end IF
+				if ( reduce ) {
+					data = reduce( data );
+				}; // end IF
+				return path( data );
+			};
+
+		}; // end FUNCTION generator()
 			
 	},
 
-	xScale: function( __ ) {
+	band: function( __ ) {
 
-		var xScale;
+		// Get the scales and accessors:
+		var xScale = this.model.get('_xScale'),
+			xValue = this.model.get('_xValue'),
+			lowerValue = this.model.get('_lowerValue'),
+			upperValue = this.model.get('_upperValue'),
+			interpolation = this.model.get('interpolation'),
+			reduce = this.downsample();
+
+		// A data point has an uncertainty if both bounds are defined: (and, on a log axis, positive)
+		var xLog = this.scaleType( 'x' ) === 'log',
+			scaleType = _.bind( this.scaleType, this );
+
+		var bounded = function( side ) {
+			var yLog = scaleType( 'y', side ) === 'log';
+			return function(d) {
+				var lower = lowerValue( d ),
+					upper = upperValue( d );
+				return _.isFinite( lower ) && _.isFinite( upper ) && ( !yLog || ( lower > 0 && upper > 0 ) ) && ( !xLog || xValue( d ) > 0 );
+			};
+		};
+
+		var errorbars = this.model.get('uncertainty') === 'errorbars';
+
+		var band;
 		if (!arguments.length) {
-			xScale = d3.scale.linear(); // Default
+			// Set the default: (as for the lines, one generator per y-axis, chosen by the data series)
+
+			var generators = {
+				'left': generator( this.model.get('_yScale'), bounded( 'left' ) ),
+				'right': generator( this.model.get('_y2Scale'), bounded( 'right' ) )
+			},
+				side = _.bind( this.side, this );
+
+			band = function( data, series ) {
+				return generators[ series ? side( series ) : 'left' ]( data );
+			};
+
 		}else {
-			// Allow external setting of the scale:
-			xScale = __; 
-		}; // end IF/ELSE
+			// Allow external setting of the band path:
+			band = __;
+		}
 
-		// Get data from the Chart Model:
-		var width = this.model.get('_graph').width,
-			xDomain = [];
+		// Update our chart model:
+		this.model.set('_band', band);
 
-		// Need to perform a copy:
-		for (var i = 0; i < this.model.get('xDomain').length; i++){
-			xDomain[i] = this.model.get('xDomain')[i];
-		}; // end FOR i
+		return this;
+
+		function generator( yScale, defined ) {
+
+			var path;
+			if ( errorbars ) {
+				// A vertical bar, with caps, for each data point:
+				path = function( data ) {
+					var str = '', x, y0, y1;
+					_.each( data, function(d) {
+						if ( !defined( d ) ) {
+							return;
+						}; // end IF
+						x = xScale( xValue( d ) );
+						y0 = yScale( lowerValue( d ) );
+						y1 = yScale( upperValue( d ) );
+						str += 'M' + x + ',' + y0 + 'V' + y1 + 'M' + (x-3) + ',' + y0 + 'H' + (x+3) + 'M' + (x-3) + ',' + y1 + 'H' + (x+3);
+					});
+					return str || null;
+				};
+			} else {
+				path = d3.svg.area()
+					.x( function(d) { return xScale( xValue( d ) ); } )
+					.y0( function(d) { return yScale( lowerValue( d ) ); } )
+					.y1( function(d) { return yScale( upperValue( d ) ); } )
+					.defined( defined ) // breaks the band at missing bounds
+					.interpolate( interpolation );
+			}; // end IF/ELSE
+
+			if ( !reduce ) {
+				return path;
+			}; // end IF
+
+			// Bounds are drawn for the same points as the lines:
+			return function( data ) {
+				return path( reduce( data ) );
+			};
+
+		}; // end FUNCTION generator()
 
-		// Update the scale domain and range:
-		if (xDomain.length < 2) {
-			// Calculate the domain:
-			xDomain = [ this.min( 'x' ), this.max( 'x' ) ];
+	},
+
+	drawBands: function( selection, options ) {
+
+		// Get the band generator and series accessor:
+		var band = this.model.get('_band'),
+			seriesValues = this.model.get('_seriesValues');
+
+		// Animate the bands if transition properties are provided:
+		if ( options && options.transition ) {
+			selection = selection.transition()
+				.duration( options.transition.duration )
+				.ease( options.transition.easing );
+		}; // end IF
+
+		selection.attr('d', function(d) {
+			return band( seriesValues( d ), d );
+		});
+
+		return this;
+
+	},
+
+	downsample: function() {
+
+		var method = this.model.get('downsample');
+
+		if ( !method ) {
+			return null;
+		}; // end IF
+
+		var algorithm = App.Utils[ method ],
+			xScale = this.model.get('_xScale'),
+			xValue = this.model.get('_xValue'),
+			yValue = this.model.get('_yValue'),
+			defined = this.model.get('_defined'),
+			gaps = this.model.get('missing') === 'gap',
+			threshold = Math.round( this.model.get('_graph').width * this.model.get('downsampleDensity') ),
+			bisect = d3.bisector( xValue );
+
+		// Return a function which reduces a data series: (the x-domain is read upon each call, so detail returns as the domain narrows)
+		return function( data ) {
+
+			// Only the visible data, plus a point on either side, is drawn: (we assume a sorted data set)
+			var xDomain = xScale.domain(),
+				visible = data.slice( Math.max( 0, bisect.left( data, xDomain[0] ) - 1 ), bisect.right( data, xDomain[1] ) + 1 );
+
+			if ( !gaps ) {
+				return algorithm( visible, threshold, xValue, yValue );
+			}; // end IF
+
+			// Downsample the defined values of the visible range at once, by index, and then restore the missing values which break the line:
+			var indices = [],
+				missing = [],
+				reduced = [],
+				m = 0;
+
+			for ( var i = 0; i < visible.length; i++ ) {
+				( defined( visible[i] ) ? indices : missing ).push( i );
+			}; // end FOR i
+
+			indices = algorithm( indices, threshold, function(i) { return xValue( visible[i] ); }, function(i) { return yValue( visible[i] ); } );
+
+			_.each( indices, function( i ) {
+				// A single missing value suffices to break the line between consecutive retained points:
+				if ( m < missing.length && missing[ m ] < i ) {
+					reduced.push( visible[ missing[ m ] ] );
+					while ( m < missing.length && missing[ m ] < i ) {
+						m++;
+					}; // end WHILE
+				}; // end IF
+				reduced.push( visible[ i ] );
+			});
+
+			if ( m < missing.length ) {
+				reduced.push( visible[ missing[ m ] ] );
+			}; // end IF
+
+			return reduced;
 
-		} else if (xDomain[0] === 'min') {
+		};
+
+	},
 
-			xDomain[0] = this.min( 'x' );
+	xScale: function( __, options ) {
 
-		} else if (xDomain[1] === 'max') {
+		var xScale;
+		if (!__) {
+			xScale = this.scale( this.model.get('xScaleType'), 'x' ); // Default
+		}else {
+			// Allow external setting of the scale:
+			xScale = __; 
+		}; // end IF/ELSE
 
-			xDomain[1] = this.max( 'x' );
+		// An external scale keeps its domain, which becomes the axis limits: (when recalculating the domain, the scale in use is passed; see rescale)
+		if ( __ && __ !== this.model.get('_xScale') ) {
+			this.model.set( 'xDomain', __.domain() );
+		}; // end IF
 
-		}; // end IF/ELSEIF/ELSEIF
+		// Get data from the Chart Model:
+		var width = this.model.get('_graph').width,
+			xDomain = this.domain( 'x', this.model.get('xDomain') );
 
 		xScale.domain( xDomain )
 			.range( [0, width] );
 
 		// Update our chart model:
-		this.model.set('_xScale', xScale);
-		this.model.set('_xDomain', xDomain);
+		this.model.set('_xScale', xScale, options);
+		this.model.set('_xDomain', xDomain, options);
 
 		return this;
 
 	},
 
-	yScale: function( __ ) {
+	yScale: function( __, options ) {
 
 		var yScale;
-		if (!arguments.length) {
-			yScale = d3.scale.linear().nice(); // Default
+		if (!__) {
+			yScale = this.scale( this.model.get('yScaleType'), 'y' ).nice(); // Default
 		}else {
 			// Allow external setting of the scale:
 			yScale = __; 
 		}; // end IF/ELSE
 
-		// Get Chart Model data:
+		// An external scale keeps its domain, which becomes the axis limits: (when recalculating the domain, the scale in use is passed; see rescale)
+		if ( __ && __ !== this.model.get('_yScale') ) {
+			this.model.set( 'yDomain', __.domain() );
+		}; // end IF
+
+		// Get Chart Model data: (the left y-axis)
 		var height = this.model.get('_graph').height,
-			yDomain = [];
+			yDomain = this.domain( 'y', this.model.get('yDomain'), 'left' );
 
-		// Need to perform a copy:
-		for (var i = 0; i < this.model.get('yDomain').length; i++){
-			yDomain[i] = this.model.get('yDomain')[i];
-		}; // end FOR i
+		yScale.domain( yDomain )
+			.range( [height, 0] );
 
-		// Update the scale domain and range:
-		if (yDomain.length < 2) {
-			// Calculate the domain:
-			yDomain = [ this.min( 'y' ), this.max( 'y' ) ];
+		// Update our chart model:
+		this.model.set('_yScale', yScale, options);
+		this.model.set('_yDomain', yDomain, options);
+
+		return this;
 
-		} else if (yDomain[0] === 'min') {
+	},
 
-			yDomain[0] = this.min( 'y' );
+	y2Scale: function( __, options ) {
 
-		} else if (yDomain[1] === 'max') {
+		var y2Scale;
+		if (!__) {
+			y2Scale = this.scale( this.model.get('y2ScaleType'), 'y2' ).nice(); // Default
+		}else {
+			// Allow external setting of the scale:
+			y2Scale = __; 
+		}; // end IF/ELSE
 
-			yDomain[1] = this.max( 'y' );
+		// An external scale keeps its domain, which becomes the axis limits: (when recalculating the domain, the scale in use is passed; see rescale)
+		if ( __ && __ !== this.model.get('_y2Scale') ) {
+			this.model.set( 'y2Domain', __.domain() );
+		}; // end IF
 
-		}; // end IF/ELSEIF/ELSEIF
+		// Get Chart Model data: (the right y-axis)
+		var height = this.model.get('_graph').height,
+			y2Domain = this.domain( 'y', this.model.get('y2Domain'), 'right' );
 
-		yScale.domain( yDomain )
+		y2Scale.domain( y2Domain )
 			.range( [height, 0] );
 
 		// Update our chart model:
-		this.model.set('_yScale', yScale);
-		this.model.set('_yDomain', yDomain);
+		this.model.set('_y2Scale', y2Scale, options);
+		this.model.set('_y2Domain', y2Domain, options);
 
 		return this;
 
 	},
 
+	domain: function( key, limits, side ) {
+
+		// Need to perform a copy:
+		var domain = limits.slice(),
+			log = this.scaleType( key, side ) === 'log';
+
+		// Calculate the limits which are not specified: (for a y-axis, from the data series plotted against it)
+		if (domain.length < 2) {
+			return [ this.min( key, side ), this.max( key, side ) ];
+		}; // end IF
+
+		// A log scale cannot represent non-positive limits; calculate them instead:
+		if (domain[0] === 'min' || ( log && !( domain[0] > 0 ) )) {
+			domain[0] = this.min( key, side );
+		}; // end IF
+
+		if (domain[1] === 'max' || ( log && !( domain[1] > 0 ) )) {
+			domain[1] = this.max( key, side );
+		}; // end IF
+
+		return domain;
+
+	},
+
+	scaleType: function( key, side ) {
+		// Get the scale type of the x-axis or of a y-axis: (key is either 'x' or 'y')
+		if ( key === 'x' ) {
+			return this.model.get('xScaleType');
+		}; // end IF
+		return this.model.get( ( side === 'right' ) ? 'y2ScaleType' : 'yScaleType' );
+	},
+
+
+	rescale: function( options ) {
+
+		// Recalculate the domains, reusing the current scales so that the path and axis generators remain bound to them:
+		this.xScale( this.model.get('_xScale'), options )
+			.yScale( this.model.get('_yScale'), options )
+			.y2Scale( this.model.get('_y2Scale'), options );
+
+		return this;
+
+	},
 
-	update: function() {
+	initUpdate: function() {
 
 		var updateFcn;
 		switch ( this.model.get( 'mode' ) ) {
@@ -838,23 +3217,21 @@ App.Views.DataLayer = App.Views.ChartArea.extend({
 			case 'window':
 				// A sliding window of constant width. Good for when we only care about recent history and having a current snapshot:
 
-				updateFcn = this.slideWindow;
+				updateFcn = this.tick( this.slideWindow );
 				break;
 
 			case 'add':
 
 				// Data is added to the path. Axes domain expands. No sliding is needed.
 
+				updateFcn = this.tick( this.expand );
 				break;
 
 			case 'dynamic':
 
 				// Data is changed in place. Meaning the path and axes may update, but we do not need to transform the path. 
 
-				break;
-
-			default:
-				console.log('WARNING:unrecognized transition.');
+				updateFcn = this.tick( this.reshape );
 				break;
 
 		}; // end SWITCH mode
@@ -866,28 +3243,47 @@ App.Views.DataLayer = App.Views.ChartArea.extend({
 	},
 
 
-	slideWindow: function( model, updatedData ) {
+	slideWindow: function() {
+
+		// Evict points which have left the window:
+		if ( this.buffers ) {
+			this.buffer();
+		}; // end IF
+
+		// Get the path generator and data accessors:
+		var line = this.model.get('_line'),
+			xValue = this.model.get('_xValue'),
+			seriesValues = this.model.get('_seriesValues');
 
 		// Redraw the paths and reset the translation:
-		var line = this.model.get('_line');
 		this.layer.data.paths.attr('d', function(d) {
-				return line( d.get('dataSeries') );
+				return line( seriesValues( d ), d );
 			})
 			.attr('transform', null);
 
+		this.drawBands( this.layer.data.bands );
+		this.layer.data.bands.attr('transform', null);
+
 		// Reset yDomain to original preference; if originally specified, calculate new max and min:
-		this.yScale();
+		this.yScale( this.model.get('_yScale') )
+			.y2Scale( this.model.get('_y2Scale') );
 
 		// 
 		var xScale = this.model.get('_xScale'),
-			xOffset = this.model.get('_xOffset'),
+			xPrev = this.model.get('_xDomain')[1],
+			duration = this.model.get('windowDuration'),
 			props = this.model.get('transition').onUpdate;
 
-		// Update the x domain:
-		var xMin = this.data[0].get('dataSeries')[1].x, // We assume a sorted data set
-			xMax = _.last( this.data[0].get('dataSeries') ).x,
-			xDomain = [ xMin, xMax ],
-			xOffset = xDomain[0];
+		// Update the x domain: (the first data point is the offscreen buffer)
+		var dataSeries = seriesValues( this.data[0] ),
+			xMax = xValue( _.last( dataSeries ) ),
+			xMin = duration ? xMax - duration : xValue( dataSeries[1] ); // We assume a sorted data set
+
+		if ( _.isDate( xMax ) ) {
+			xMin = new Date( +xMin );
+		}; // end IF
+
+		var xDomain = [ xMin, xMax ];
 		
 		xScale.domain( xDomain );
 
@@ -896,26 +3292,75 @@ App.Views.DataLayer = App.Views.ChartArea.extend({
 		});
 		
 		// Transition the axes:
-		this.layer.axis.x.transition()
-			.duration( props.duration ) 
-			.ease( props.easing )
-			.call( this.model.get('_xAxis') );
-		
-		this.layer.axis.y.transition()
-			.duration( props.duration )
-			.ease( props.easing )
-			.call( this.model.get('_yAxis') );					
+		this.drawAxis( 'x', {transition: props} )
+			.drawAxis( 'y', {transition: props} )
+			.drawAxis( 'y2', {transition: props} );
+
+		// On a non-linear x-axis, a shift in data space is not a constant translation in pixel space, so transition the paths to the new domain instead:
+		if ( !_.contains( ['linear', 'time'], this.model.get('xScaleType') ) ) {
+			this.redraw( this.model, xDomain, {transition: props} );
+			return this;
+		}; // end IF
 
-		// Calculate the shift:
-		var lastVals = _.last( this.data[0].get('dataSeries'), 2 ),
-			shift = xOffset - (lastVals[1].x - lastVals[0].x);
+		// Calculate the shift: (the paths were drawn with the previous domain, so slide by how far the right edge has moved)
+		var shift = xMin - ( xMax - xPrev );
 
-		// Slide the path with a transition:
+		// Slide the paths with a transition:
 		this.layer.data.paths.transition()
 			.duration( props.duration )
 			.ease( props.easing )
 			.attr('transform', 'translate(' + xScale( shift ) + ')');
 
+		this.layer.data.bands.transition()
+			.duration( props.duration )
+			.ease( props.easing )
+			.attr('transform', 'translate(' + xScale( shift ) + ')');
+
+		return this;
+
+	},
+
+	expand: function() {
+
+		// Get the path generator and series accessor:
+		var line = this.model.get('_line'),
+			seriesValues = this.model.get('_seriesValues');
+
+		// Extend the paths with the new data points, using the current domains: (new points may lie beyond the viewport)
+		this.layer.data.paths.attr('d', function(d) {
+			return line( seriesValues( d ), d );
+		});
+
+		this.drawBands( this.layer.data.bands );
+
+		// Grow the domains, animating the axes and paths:
+		this.reshape();
+
+		return this;
+
+	},
+
+	reshape: function() {
+
+		var props = this.model.get('transition').onUpdate;
+
+		// Recalculate the domains: (this will trigger a listener callback, which animates the axes)
+		this.rescale( {transition: props} );
+
+		// Re-render the paths in place, even if the domains are unchanged:
+		this.redraw( this.model, null, {transition: props} );
+
+		return this;
+
+	},
+
+	resizeData: function() {
+
+		// Regenerate the path generators, as downsampling depends on the graph width, and redraw:
+		this.line()
+			.band()
+			.redraw();
+
 		return this;
 
 	}
@@ -927,21 +3372,12 @@ App.Views.DataLayer = App.Views.ChartArea.extend({
 // Annotation Layer:
 App.Views.AnnotationLayer = App.Views.DataLayer.extend({
 
+	layers: ['base', 'axes', 'data', 'annotations'],
+
 	initialize: function() {
 		// This overrides any inherited initialize methods.
 	},
 
-	render: function() {
-
-		this.initCanvas()		// Create the canvas layer
-			.initData()			// Initialize the data
-			.initAxes()			// Create the axes layer
-			.bindData()			// Bind the data and initialize the paths layer
-			.draw()				// Plot the data
-			.annotate(); 		// Bind the annotations to the chart
-			
-	},
-
 	annotate: function() {
 
 		// Initialize the annotation layer:
@@ -961,11 +3397,14 @@ App.Views.AnnotationLayer = App.Views.DataLayer.extend({
 			this.caption();
 		}; // end IF caption
 
-		if ( legend.length ) {
+		if ( legend === true || legend.length ) {
 			// Check!:
-			if (legend.length != this.data.length) {
-				// Gracefully not output anything and issue a warning to the console:
-				console.log('WARNING:number of legend labels does not equal the number of data series. Legend not generated.');
+			if (_.isArray( legend ) && legend.length != this.data.length) {
+				// Gracefully not output anything and issue a warning:
+				this.model.warning( 'LEGEND_MISMATCH', 'number of legend labels does not equal the number of data series. Legend not generated.', {
+					'labels': legend.length,
+					'series': this.data.length
+				});
 			}else  {
 				this.legend();
 			}; // end IF/ELSE
@@ -980,7 +3419,7 @@ App.Views.AnnotationLayer = App.Views.DataLayer.extend({
 	},
 
 	title: function() {
-		this.layer.annotation.title = this.layer.chart.append('svg:text')
+		this.layer.annotation.title = this.layerGroup('annotations').append('svg:text')
 			.attr('x', this.model.get('_graph').width / 2)
 			.attr('y', 2 )
 			.attr('text-anchor', 'middle')
@@ -1006,56 +3445,87 @@ App.Views.AnnotationLayer = App.Views.DataLayer.extend({
 		this.layer.annotation.legend = [];
 
 		// For each data series, get the last data value and append a text object to that value:
-		var data = [],
-			legend = this.model.get('legend'),
+		var legend = this.model.get('legend'),
 			xScale = this.model.get('_xScale'),
-			yScale = this.model.get('_yScale');
+			yScale = _.bind( this.seriesScale, this ), // each label is positioned using the y-scale of its data series
+			xValue = this.model.get('_xValue'),
+			yValue = this.model.get('_yValue'),
+			plottedValues = _.bind( this.plottedValues, this ),
+			data = this.data;
 
-		_.each(this.data, function(d,i) {
-			data.push( _.last( d.get('dataSeries') ) );
-		});			
+		// Bind the data series: (this method may be called again to add and remove legend entries as data series are added and removed)
+		var entries = this.layerGroup('annotations').selectAll('.legend')
+			.data( data, this.model.get('_key') );
 
-		this.layer.annotation.legend = this.layer.chart.selectAll('.legend')
-			.data( data )
-		  .enter().append('svg:text')
-			.attr('transform', function(d) { return "translate(" + xScale(d.x) + "," + yScale(d.y) + ")"; })
+		entries.enter().append('svg:text')
 			.attr('x', 3 )
 			.attr('dy', ".35em" )
-			.attr('class', 'legend')
-			.text( function(d,i) { return legend[i]; } );		
+			.attr('class', 'legend');
+
+		entries.exit().remove();
+
+		this.layer.annotation.legend = entries
+			.attr('transform', function(d) { 
+				// Position each label at the last non-missing value:
+				var pt = _.last( plottedValues( d ) );
+				return pt ? "translate(" + xScale( xValue( pt ) ) + "," + yScale( d )( yValue( pt ) ) + ")" : null; 
+			});
+
+		this.labels();
+
+		return this;
+	},
+
+	labels: function() {
+
+		// Labels are either supplied as an array on the chart model, ordered by data series, or taken from the data series names:
+		var legend = this.model.get('legend'),
+			data = this.data;
+
+		this.layer.annotation.legend
+			.text( function(d) { 
+				return _.isArray( legend ) ? legend[ _.indexOf( data, d ) ] : d.get('name'); 
+			})
+			.style('display', function(d) {
+				return (d.get('visible') === false) ? 'none' : null;
+			});
 
 		return this;
+
 	},
 
 	updateLegend: function() {
+		// Check that a legend was generated:
+		if ( !this.layer.annotation.legend ) {
+			return this;
+		}; // end IF
+
 		// Get the current xDomain and x- and y-scales:
 		var xDomain = this.model.get('_xScale').domain(),
 			xScale = this.model.get('_xScale'),
-			yScale = this.model.get('_yScale');
+			yScale = _.bind( this.seriesScale, this ),
+			yValue = this.model.get('_yValue'),
+			plottedValues = _.bind( this.plottedValues, this );
 
 		// Define the x-bisector: (where, for the id returned, data[id-1] < val < data[id])
-		var xBisect = d3.bisector( function(d) { return d.x; }).left;
-
-		var data = [],
-			id;
-		_.each(this.data, function(d,i) {
-			id = xBisect( d.get('dataSeries'), xDomain[1] );
-			if (id >= d.get('dataSeries').length) {
-				id = id - 1; // edge case
-			}; // end IF
-			data.push( {
-				'x': xDomain[1],
-				'y': d.get('dataSeries')[id].y
-			});
-		});
+		var xBisect = d3.bisector( this.model.get('_xValue') ).left;
 
 		this.layer.annotation.legend
-			.data( data )
 			.transition()
 				.duration(100)
 				.ease('linear')
 				.attr('transform', function(d) { 
-					return 'translate(' + xScale(d.x) + ',' + yScale(d.y) + ')'; });
+					// Skip missing values:
+					var dataSeries = plottedValues( d ),
+						id = xBisect( dataSeries, xDomain[1] );
+					if (id >= dataSeries.length) {
+						id = id - 1; // edge case
+					}; // end IF
+					if ( id < 0 ) {
+						return null;
+					}; // end IF
+					return 'translate(' + xScale( xDomain[1] ) + ',' + yScale( d )( yValue( dataSeries[id] ) ) + ')'; 
+				});
 
 		return this;
 
@@ -1072,16 +3542,20 @@ App.Views.AnnotationLayer = App.Views.DataLayer.extend({
 			.attr('class', 'data-cursor tooltip')
 			.style('opacity', 0);
 
-		// Namespace the data cursor callback:
-		this.layer.data.paths.on('mouseover.cursor', createCursor )
-			.on('mouseout.cursor', destroyCursor );
+		// Update our chart model:
+		this.model.set( {
+			'_createCursor': createCursor,
+			'_destroyCursor': destroyCursor
+		});
 
-		// Get the x- and y-scales:
-		var xScale = this.model.get('_xScale'),
-			yScale = this.model.get('_yScale');
+		// Namespace the data cursor callback:
+		this.bindCursor();
 
-		// Define the x-bisector: (where, for the id returned, data[id-1] < val < data[id])
-		var xBisect = d3.bisector( function(d) { return d.x; }).left;
+		// The scales and data accessors are read when the cursor is created, as scales may be replaced (e.g., when the scale type changes):
+		var model = this.model,
+			seriesScale = _.bind( this.seriesScale, this ), // the y-scale depends on the data series under the cursor
+			plottedValues = _.bind( this.plottedValues, this ),
+			xScale, xValue, yValue, xFormat;
 
 		// Initialize the mouse coordinates:
 		var coords;
@@ -1093,15 +3567,34 @@ App.Views.AnnotationLayer = App.Views.DataLayer.extend({
 			// Get the current mouse coordinates:
 			coords = d3.mouse( this );
 
+			// Get the x-scale and data accessors:
+			xScale = model.get('_xScale');
+			xValue = model.get('_xValue');
+			yValue = model.get('_yValue');
+
+			// Define the x-bisector: (where, for the id returned, data[id-1] < val < data[id])
+			var xBisect = d3.bisector( xValue ).left;
+
+			// Define how x values are displayed:
+			xFormat = ( model.get('xScaleType') === 'time' ) ? d3.time.format( model.get('timeFormat') ) : function(d) { return d; };
+
+			// Determine the data series and its y-scale:
+			var series = d3.select(this).data()[0],
+				yScale = seriesScale( series );
+
 			// Map those pixel coordinates to the data space:
 			var xData = xScale.invert( coords[0] ),
 				yData = yScale.invert( coords[1] );
 
-			// Determine the closest data indices:
-			var data = d3.select(this).data()[0].get('dataSeries'),
+			// Determine the closest data indices: (skipping missing values and values which cannot be plotted)
+			var data = plottedValues( series ),
 				xPos = xBisect(data, xData);
 
-			if ( (xData-data[xPos-1].x) < (data[xPos].x-xData) ) {
+			if ( !data.length ) {
+				return;
+			}; // end IF
+
+			if ( xPos >= data.length || ( xPos > 0 && (xData-xValue( data[xPos-1] )) < (xValue( data[xPos] )-xData) ) ) {
 				// The closet x-value is the previous data point:
 				xPos = xPos - 1;
 			}; // end IF			
@@ -1110,15 +3603,15 @@ App.Views.AnnotationLayer = App.Views.DataLayer.extend({
 				.data( [ data[xPos] ] )
 			  .enter().append('svg:circle')
 			  	.attr('class', 'data-cursor')
-			  	.attr('cx', function(d) { return xScale(d.x); } )
-			  	.attr('cy', function(d) { return yScale(d.y); } )
+			  	.attr('cx', function(d) { return xScale( xValue( d ) ); } )
+			  	.attr('cy', function(d) { return yScale( yValue( d ) ); } )
 			  	.attr('fill', 'black')
 			  	.attr('r', 0)
 			  	.transition()
 			  		.duration(500)
 			  		.ease('linear')
 			  		.attr('r', 5)
-			  		.call( showTooltip, data[xPos] );
+			  		.call( showTooltip, data[xPos], series );
 
 
 		}; // end FUNCTION createCursor()
@@ -1133,8 +3626,13 @@ App.Views.AnnotationLayer = App.Views.DataLayer.extend({
 					.remove();
 		}; // end FUNCTION destroyCursor()
 
-		function showTooltip( transition, d ) {
-			var str = 'x: ' + d.x + '<br>y: ' + d.y;
+		function showTooltip( transition, d, series ) {
+			// Data series metadata and values may come from external sources (e.g., CSV headers), so escape them before building the markup:
+			var unit = series.get('unit'),
+				str = 'x: ' + _.escape( xFormat( xValue( d ) ) ) + '<br>y: ' + _.escape( yValue( d ) ) + (unit ? ' ' + _.escape( unit ) : '');
+			if ( series.get('name') ) {
+				str = '<strong>' + _.escape( series.get('name') ) + '</strong><br>' + str;
+			}; // end IF
 			// Determine the position of the chart container:
 			var pos = $(chartLayer[0][0]).position();
 			// Show the tooltip and move into position:
@@ -1152,6 +3650,40 @@ App.Views.AnnotationLayer = App.Views.DataLayer.extend({
 				.style('opacity', 0);
 		}; // end FUNCTION hideTooltip()
 
+	},
+
+	bindCursor: function() {
+
+		// Namespace the data cursor callback:
+		this.layer.data.paths.on('mouseover.cursor', this.model.get('_createCursor') )
+			.on('mouseout.cursor', this.model.get('_destroyCursor') );
+
+		return this;
+
+	},
+
+	resizeAnnotations: function() {
+
+		var graph = this.model.get('_graph'),
+			annotation = this.layer.annotation;
+
+		// Reposition the annotations:
+		if ( annotation.title ) {
+			annotation.title.attr('x', graph.width / 2);
+		}; // end IF
+
+		if ( annotation.caption ) {
+			annotation.caption
+				.style('width', graph.width + 'px')
+				.style('padding-left', this.model.get('margin').left + 'px');
+		}; // end IF
+
+		if ( annotation.legend ) {
+			this.legend();
+		}; // end IF
+
+		return this;
+
 	}
 
 }); // end AnnotationLayer
@@ -1161,45 +3693,258 @@ App.Views.AnnotationLayer = App.Views.DataLayer.extend({
 // Listener Layer:
 App.Views.ListenerLayer = App.Views.AnnotationLayer.extend({
 
-	render: function() {
+	layers: ['base', 'axes', 'data', 'annotations', 'listeners'],
+
+	listen: function() {
+
+		// Get listeners settings:
+		var settings = this.model.get('listeners');
+
+		if ( settings.chart ) {
+
+			// Bind chart data listeners:
+			this.listenTo( this.model, 'change:canvas change:margin', this.resize );
+			this.listenTo( this.model, 'change:theme change:colors', this.retheme );
+			this.listenTo( this.model, 'change:uncertainty', this.changeUncertainty );
+			this.listenTo( this.model, 'change:xLabel change:yLabel change:y2Label change:axes', this.refreshAxes );
+			this.listenTo( this.model, 'change:_xDomain change:_yDomain change:_y2Domain', this.updateAxes );
+			this.listenTo( this.model, 'change:_xDomain change:_yDomain change:_y2Domain', this.redraw );
+
+			// Changing a scale type (or its exponent or constant) replaces the scale; replaced scales are rebound on the next tick, once all have been replaced:
+			this.listenTo( this.model, 'change:xScaleType change:yScaleType change:y2ScaleType', this.changeScales );
+			this.listenTo( this.model, 'change:axes.x.exponent change:axes.x.constant change:axes.y.exponent change:axes.y.constant change:axes.y2.exponent change:axes.y2.constant', this.changeScales );
+			this.listenTo( this.model, 'change:_xScale change:_yScale change:_y2Scale', this.tick( this.rebind ) );
+
+			// Without an annotations layer, there is no legend to update:
+			if ( this.layer.annotation ) {
+				this.listenTo( this.model, 'change:_xDomain change:_yDomain change:_y2Domain', this.updateLegend );
+			}; // end IF
+
+			// In responsive mode, track the container width as the window resizes:
+			if ( this.model.get('responsive') ) {
+				this._onResize = _.debounce( _.bind( function() {
+					// Skip a resize pending when the chart was torn down:
+					if ( this.layer ) {
+						this.model.set( 'canvas.width', this.containerWidth() );
+					}; // end IF
+				}, this ), 100 );
+				$( window ).on( 'resize', this._onResize );
+			}; // end IF
+
+		}; // end IF
+
+		if ( settings.data ) {
+
+			// Bind plot data listeners:
+
+			this.listenTo( this.collection, this.dataEvent(), this.model.get('_updateFcn') );
+
+			// Changing the mode replaces the update function:
+			this.listenTo( this.model, 'change:mode', this.changeMode );
+
+			// Data series metadata:
+			this.listenTo( this.collection, 'change:name change:color change:lineStyle change:visible change:axis', this.restyle );
+
+			// Adding and removing data series:
+			this.listenTo( this.collection, 'add remove reset', this.tick( this.updateSeries ) );
+
+		}; // end IF
+
+		return this;
+
+	},
+
+	dataEvent: function() {
+
+		// Listen to the attribute holding the data points: (for a custom accessor function, we cannot know which attribute is read, so listen to all changes)
+		var attribute = this.seriesAttribute();
+
+		return attribute ? 'change:' + attribute : 'change';
+
+	},
 
-		this.initCanvas()		// Create the canvas layer
-			.initData()			// Initialize the data
-			.initAxes()			// Create the axes layer
-			.bindData()			// Bind the data and initialize the paths layer
-			.draw()				// Plot the data
-			.annotate() 		// Bind the annotations to the chart
-			.listen(); 			// Bind listeners so that views update upon model changes
+	changeMode: function() {
+
+		var event = this.dataEvent();
+
+		// Unbind the current update function, create the buffers and update function for the new mode, and bind the new update function:
+		this.stopListening( this.collection, event, this.model.get('_updateFcn') );
+
+		this.initBuffers()
+			.initUpdate();
+
+		this.listenTo( this.collection, event, this.model.get('_updateFcn') );
+
+		return this;
+
+	},
+
+	unlisten: function() {
+
+		// Model and collection listeners are removed upon teardown; stop tracking the window width:
+		if ( this._onResize ) {
+			$( window ).off( 'resize', this._onResize );
+			this._onResize = null;
+		}; // end IF
+
+		return this;
+
+	},
+
+	changeScales: function() {
+
+		// The x accessor depends on the x scale type: (e.g., time)
+		this.accessors();
+
+		// Create new scales: (external scales are replaced as well)
+		this.xScale()
+			.yScale()
+			.y2Scale();
+
+		return this;
+
+	},
+
+	rebind: function() {
+
+		// Bind the path and axis generators to the new scales:
+		this.line()
+			.band()
+			.refreshAxes();
+
+		this.redraw();
+
+		if ( this.layer.annotation && this.layer.annotation.legend ) {
+			this.legend();
+		}; // end IF
+
+		// The brush shares the x scale type:
+		if ( this.layer.brush ) {
+			this.rescaleBrush();
+		}; // end IF
+
+		return this;
+
+	},
+
+	updateSeries: function() {
+
+		var line = this.model.get('_line'),
+			seriesValues = this.model.get('_seriesValues'),
+			props = this.model.get('transition').onUpdate,
+			onEnter = this.model.get('_onEnter'),
+			onExit = this.model.get('_onExit');
+
+		// Rebind the data: (creates paths for added data series and collects the paths of removed data series)
+		this.initData()
+			.join();
+
+		// Show the y-axes having data series assigned:
+		this.showAxes();
+
+		// Recalculate the domains: (this will trigger a listener callback, which animates the axes and existing paths)
+		this.rescale( {transition: props} );
+
+		// Draw the new paths using the updated domains and apply the data series styles:
+		this.layer.data.enter.attr('d', function(d) {
+			return line( seriesValues( d ), d );
+		});
+		this.drawBands( this.layer.data.bandEnter );
+		this.style();
+
+		// Animate the new paths, if an animation has been provided:
+		if ( onEnter ) {
+			this.layer.data.enter.call( onEnter );
+		}; // end IF
+
+		// Remove the paths of removed data series, animating if an animation has been provided:
+		if ( onExit ) {
+			this.layer.data.exit.call( onExit );
+		} else {
+			this.layer.data.exit.remove();
+		}; // end IF/ELSE
+
+		// Update the legend entries:
+		if ( this.layer.annotation && this.layer.annotation.legend ) {
+			this.legend();
+		}; // end IF
+
+		// Bind the data cursor and hover events to the new paths:
+		if ( this.model.get('_createCursor') ) {
+			this.bindCursor();
+		}; // end IF
+
+		if ( this.model.get('_mouseover') ) {
+			this.layer.data.enter
+				.style('cursor', 'pointer')
+				.on('mouseover.hover', this.model.get('_mouseover') )
+				.on('mouseout.hover', this.model.get('_mouseout') );
+		}; // end IF
+
+		// Update the brush domain:
+		if ( this.layer.brush ) {
+			this.model.get('_brushScale').domain( this.model.get('_xScale').domain() );
+			this.layer.brush.axis.x.call( this.model.get('_brushAxis') );
+		}; // end IF
+
+		return this;
+
+	},
+
+	retheme: function() {
+
+		// Restyle the chart and recolor the data series:
+		this.theme()
+			.colors()
+			.style();
+
+		return this;
 
 	},
 
-	listen: function() {
+	changeUncertainty: function() {
+
+		// Rebind the data, creating or removing the bands:
+		this.join();
 
-		// Get listeners settings:
-		var settings = this.model.get('listeners');
+		// Bands and error bars are generated differently; as bounds contribute to the y domains, recalculate the domains: (this will trigger a listener callback if the domains change)
+		this.band()
+			.rescale()
+			.drawBands( this.layer.data.bands )
+			.style();
 
-		if ( settings.chart ) {
+		return this;
 
-			// Bind chart data listeners:
-			this.model.on('change:xLabel change:yLabel', this.refreshAxes, this);
-			this.model.on('change:_xDomain change:_yDomain', this.updateAxes, this);
-			this.model.on('change:_xDomain change:_yDomain', this.redraw, this);
-			this.model.on('change:_xDomain change:_yDomain', this.updateLegend, this);
+	},
 
-		}; // end IF
+	restyle: function( series ) {
 
-		if ( settings.data ) {
+		// Apply the data series styles:
+		this.style();
 
-			// Bind plot data listeners:
+		// Update the legend labels:
+		if ( this.layer.annotation && this.layer.annotation.legend ) {
+			this.labels();
+		}; // end IF
 
-			var updateFcn = this.model.get('_updateFcn');
+		if ( series.hasChanged('visible') ) {
+			// Hidden data series do not contribute to the domains; recalculate: (this will trigger a listener callback)
+			this.rescale();
+		}; // end IF
 
-			//this.collection.on('add:dataSeries', this.update, this);
-			this.collection.on('change:dataSeries', updateFcn, this);
-			//this.collection.on('reset', this.update, this);
+		if ( series.hasChanged('axis') ) {
+			// Move the data series to its y-axis, recalculating the domains of both y-axes:
+			this.showAxes()
+				.rescale()
+				.redraw();
 
+			if ( this.layer.annotation && this.layer.annotation.legend ) {
+				this.legend();
+			}; // end IF
 		}; // end IF
 
+		return this;
+
 	}
 
 });
@@ -1209,23 +3954,12 @@ App.Views.ListenerLayer = App.Views.AnnotationLayer.extend({
 // Interaction layer:
 App.Views.InteractionLayer = App.Views.ListenerLayer.extend({
 
+	layers: ['base', 'axes', 'data', 'annotations', 'listeners', 'interaction'],
+
 	initialize: function( options ) {
 		// This overrides any inherited initialize functions.
 	},
 
-	render: function() {
-
-		this.initCanvas()		// Create the canvas layer
-			.initData()			// Initialize the data
-			.initAxes()			// Create the axes layer
-			.bindData()			// Bind the data and initialize the paths layer
-			.draw()				// Plot the data
-			.annotate() 		// Bind the annotations to the chart
-			.bindInteration()	// Bind the interaction behavior
-			.listen(); 			// Bind listeners so that views update upon model changes
-
-	},
-
 	bindInteraction: function() {
 
 		var selection = this.layer.data.paths;
@@ -1301,7 +4035,7 @@ App.Views.InteractionLayer = App.Views.ListenerLayer.extend({
 		var xScale = this.model.get('_xScale');
 
 		// Specify the brush scale:
-		var brushScale = d3.scale.linear()
+		var brushScale = this.scale( this.model.get('xScaleType'), 'x' )
 			.domain( xScale.domain() ) // same domain as our main chart
 			.range( [ 0, width ] ); // HACK!
 
@@ -1326,11 +4060,11 @@ App.Views.InteractionLayer = App.Views.ListenerLayer.extend({
 
 		var that = this;
 		function onBrush() {
-			// Get the current brush extent:
-			var extent = brush.empty() ? brushScale.domain() : brush.extent();
+			// Get the current brush extent: (the scales are read from the model, as they are replaced when the scale type changes)
+			var extent = brush.empty() ? that.model.get('_brushScale').domain() : brush.extent();
 
 			// Update the xScale:
-			xScale.domain( extent );
+			that.model.get('_xScale').domain( extent );
 			
 			// Update our chart model: (this will trigger a listener callback)
 			that.model.set('_xDomain', extent);
@@ -1382,6 +4116,58 @@ App.Views.InteractionLayer = App.Views.ListenerLayer.extend({
 
 		return this;
 
+	},
+
+	resizeBrush: function() {
+
+		if ( !this.layer.brush ) {
+			return this;
+		}; // end IF
+
+		var canvas = this.model.get('canvas'),
+			graph = this.model.get('_graph'),
+			props = this.model.get('brushProps'),
+			brush = this.model.get('_brush');
+
+		// Make room for the brush and move it beneath the resized chart:
+		this.layer.base.attr('height', canvas.height + props.margin.top + props.height + props.margin.bottom);
+
+		this.layer.brush.chart.attr('transform', 'translate(' + props.margin.left + ',' + (canvas.height + props.margin.top) + ')');
+
+		// Update the brush range and redraw the brush and its axis:
+		this.model.get('_brushScale').range( [ 0, graph.width ] );
+
+		this.layer.brush.chart.select('.bars')
+			.call( brush )
+			.selectAll('rect')
+				.attr('y', 0)
+				.attr('height', props.height);
+
+		this.layer.brush.axis.x.call( this.model.get('_brushAxis') );
+
+		return this;
+
+	},
+
+	rescaleBrush: function() {
+
+		// Replace the brush scale with a scale of the current x scale type, spanning the full x domain:
+		var brushScale = this.scale( this.model.get('xScaleType'), 'x' )
+			.domain( this.model.get('_xScale').domain() )
+			.range( this.model.get('_brushScale').range() );
+
+		this.model.get('_brush').x( brushScale ).clear();
+		this.model.get('_brushAxis').scale( brushScale );
+
+		this.model.set('_brushScale', brushScale);
+
+		this.layer.brush.chart.select('.bars')
+			.call( this.model.get('_brush') );
+
+		this.layer.brush.axis.x.call( this.model.get('_brushAxis') );
+
+		return this;
+
 	}
 
 });
@@ -1392,25 +4178,12 @@ App.Views.InteractionLayer = App.Views.ListenerLayer.extend({
 // Animation layer:
 App.Views.AnimationLayer = App.Views.InteractionLayer.extend({
 
+	layers: ['base', 'axes', 'data', 'annotations', 'listeners', 'interaction', 'animation'],
+
 	initialize: function( options ) {
 		// This overrides any inherited initialize functions.
 	},
 
-	render: function() {
-
-		this.initCanvas()					// Create the canvas layer
-			.initData()						// Initialize the data
-			.initAxes()						// Create the axes layer
-			.bindData()						// Bind the data and initialize the paths layer
-			.bindAnimation( )				// Setup the selection for transitions
-			.draw()							// Plot the data
-			.annotate() 					// Bind the annotations to the chart
-			.bindInteraction()				// Bind the interaction behavior
-			.animate( )						// Run the animations
-			.listen(); 						// Bind listeners so that views update upon model changes
-
-	},
-
 	bindAnimation: function( ) {
 
 		var selection, animationFcn;
@@ -1418,15 +4191,19 @@ App.Views.AnimationLayer = App.Views.InteractionLayer.extend({
 
 			case 'enterLeft':
 
-				// Define what is going to animate:
-				selection = this.layer.data.paths;
+				// Define what is going to animate: (the lines and any uncertainty bands)
+				selection = this.layer.data.clipPath.selectAll('.line, .band');
 
 				// Get the x scale and domain:
 				var xScale = this.model.get('_xScale'),
-					xDomain = xScale.domain();
+					xDomain = xScale.domain(),
+					xStart = xScale( -xDomain[1] );
 
-				// Setup the transition:
-				selection.attr("transform", "translate(" + xScale( -xDomain[1] ) + ")");
+				// Setup the transition: (on a log axis, the mirrored domain is undefined, so start a graph width to the left)
+				if ( !_.isFinite( xStart ) ) {
+					xStart = -this.model.get('_graph').width;
+				}; // end IF
+				selection.attr("transform", "translate(" + xStart + ")");
 
 				// Set the animation function:
 				animationFcn = enterLeft;
@@ -1435,8 +4212,8 @@ App.Views.AnimationLayer = App.Views.InteractionLayer.extend({
 
 			case 'arise':
 
-				// Define what is going to animate:
-				selection = this.layer.data.paths;
+				// Define what is going to animate: (the lines and any uncertainty bands)
+				selection = this.layer.data.clipPath.selectAll('.line, .band');
 
 				// Get the base layer height:
 				var height = this.model.get('canvas').height;
@@ -1505,7 +4282,16 @@ App.Views.AnimationLayer = App.Views.InteractionLayer.extend({
 
 		var onEnter;
 		if (!arguments.length) {
-			// TBD
+			// Default: fade in the paths of added data series
+			var model = this.model;
+			onEnter = function( selection ) {
+				var props = model.get('animationProps').onEnter;
+				selection.style('opacity', 0)
+					.transition()
+						.duration( props.duration )
+						.ease( props.easing )
+						.style('opacity', 1);
+			};
 		}else {
 			// Allow external setting of the transition onEnter:
 			onEnter = __;
@@ -1535,9 +4321,27 @@ App.Views.AnimationLayer = App.Views.InteractionLayer.extend({
 
 	},
 
-	onExit: function() {
-		
-		// TBD
+	onExit: function( __ ) {
+
+		var onExit;
+		if (!arguments.length) {
+			// Default: fade out and remove the paths of removed data series
+			var model = this.model;
+			onExit = function( selection ) {
+				var props = model.get('animationProps').onExit;
+				selection.transition()
+					.duration( props.duration )
+					.ease( props.easing )
+					.style('opacity', 0)
+					.remove();
+			};
+		} else {
+			// Allow external setting of the transition onExit: (the function is responsible for removing the selection)
+			onExit = __;
+		}; // end IF/ELSE
+
+		// Update our chart model:
+		this.model.set('_onExit', onExit);
 
 		return this;
 
@@ -1548,204 +4352,619 @@ App.Views.AnimationLayer = App.Views.InteractionLayer.extend({
 
 
 
+//////////////////////
+// 		Layers   	//
+//////////////////////
+
+// Registry of named chart layers. A chart is assembled from layers, each of which may specify:
+//	view: a view whose own methods the layer contributes
+//	methods: additional methods the layer contributes; e.g., for third-party layers
+//	requires: names of the layers on which the layer depends
+//	steps: render steps (method names), keyed by pipeline phase; see App.Layers.phases
+//	zIndex: stacking order of the layer's SVG group within the chart area; higher is drawn above
+//	resize: name of the method which resizes the layer's elements in place
+//	teardown: name of the method which releases resources held outside the chart's DOM and listeners (e.g., window handlers) when the chart is torn down
+// The render pipeline runs each phase in turn and, within a phase, the steps of each layer in dependency order.
+App.Layers = {
 
+	// Registered layers:
+	_layers: {},
 
+	// Pipeline phases, in order:
+	phases: ['canvas', 'data', 'axes', 'bind', 'prepare', 'draw', 'annotate', 'interact', 'animate', 'listen'],
 
+	register: function( name, layer ) {
 
+		if ( !_.isString( name ) || !/^[\w-]+$/.test( name ) || !_.isObject( layer ) ) {
+			App.Reports.error( 'INVALID_LAYER', 'invalid layer. A layer must have a name consisting of letters, digits, underscores and hyphens and be an object.', {
+				'layer': name
+			});
+			return this;
+		}; // end IF
 
-Backbone.Validate = function( model, attrs ) {
+		layer = _.defaults( {}, layer, {
+			'requires': [],
+			'steps': {},
+			'methods': {}
+		});
 
-	var errors = {};
-		
-	// Get the keys:
-	var keys = _.keys(attrs);
+		var phases = _.difference( _.keys( layer.steps ), this.phases );
+		if ( phases.length ) {
+			App.Reports.error( 'INVALID_LAYER', 'invalid layer "' + name + '". Unrecognized pipeline phase(s): ' + phases + '. Phase must be one of the following options: ' + this.phases, {
+				'layer': name,
+				'phases': phases
+			});
+			return this;
+		}; // end IF
 
-	// Iterate over each key and perform the appropriate validation:
-	_.each(keys, validator);
+		this._layers[ name ] = layer;
 
-	return errors;
+		return this;
 
-	function validator(key) {
+	},
 
-		var prefix = 'ERROR:invalid input for "'+ key +'". ';
+	get: function( name ) {
+		return this._layers[ name ];
+	},
 
-		var val = attrs[key];
-		//console.log(val);
-		switch (key) {
+	list: function() {
+		return _.keys( this._layers );
+	},
 
-			case 'title': case 'caption': case 'xLabel': case 'yLabel': 
-				// Must be a string:
-				if ( !_.isString( val ) ) {
-					errors[key] = prefix + 'Must be a string.';
-				}; // end IF
-				break;
+	// Expand a list of layer names to include their dependencies, ordered such that each layer follows the layers it requires: (the base layer is always included)
+	resolve: function( names ) {
 
-			case 'xDomain': case 'yDomain':
-				// Must be an array:
-				if ( !_.isArray( val ) || !(val.length == 0 || val.length ==2) ) {
-					errors[key] = prefix + 'Must be either an empty array or an array of length 2.';
-					return;
-				}; // end IF
-				_.each(val, function( num ) {
-					if ( !_.isFinite( num ) && !(num === 'max' || num === 'min') ) {
-						errors[key] = prefix + 'Array elements must be finite numbers or special strings "min" or "max".';
-					}; // end IF
-				});
-				break;
+		var resolved = [],
+			visiting = {},
+			layers = this._layers;
 
-			case 'margin': case 'canvas':
-				// Must be an object:
-				if ( !_.isObject( val ) ) {
-					errors[key] = prefix + 'Must be an object.';
-					return;
-				}; // end IF
+		_.each( ['base'].concat( names ), visit );
 
-				var validKeys;
-				switch (key) {
-					case 'margin':
-						validKeys = ['top', 'bottom', 'left', 'right'];
-						break;
-					case 'canvas':
-						validKeys = ['height', 'width'];
-						break;
-				};
+		return resolved;
 
-				_.each(validKeys, function(validKey) {
-					if ( !_.has( val, validKey ) ) {
-						errors[key] = prefix + 'Object must have one of the following keys: ' + validKeys;
-						return;
-					};
-					if ( !_.isFinite( val[validKey] ) ) {
-						errors[key] = prefix + validKey + ' must be a finite number.';
-					}; // end IF
+		function visit( name ) {
+			if ( _.contains( resolved, name ) ) {
+				return;
+			}; // end IF
+			if ( !layers[ name ] ) {
+				App.Reports.error( 'UNKNOWN_LAYER', 'unrecognized layer "' + name + '". Layer ignored. Layer must be one of the following options: ' + _.keys( layers ), {
+					'layer': name
 				});
-				break;
+				return;
+			}; // end IF
+			if ( visiting[ name ] ) {
+				App.Reports.error( 'CIRCULAR_LAYER_DEPENDENCY', 'circular layer dependency involving "' + name + '". Dependency ignored.', {
+					'layer': name
+				});
+				return;
+			}; // end IF
+			visiting[ name ] = true;
+			_.each( layers[ name ].requires, visit );
+			visiting[ name ] = false;
+			resolved.push( name );
+		}; // end FUNCTION visit()
 
-			case 'legend':
-				// Must be an array:
-				if ( !_.isArray( val ) ) {
-					errors[key] = prefix + 'Must be an array.';
-				}; // end IF
+	},
 
-				_.each( val, function( str ) {
-					if ( !_.isString( str ) ) {
-						errors[key] = prefix + 'Must be an array of strings.';
-					}; // end IF
-				}); 
-				break;
+	// Derive the render steps for a list of layer names:
+	pipeline: function( names ) {
 
-			case 'colors':
-				// Must be either an array or a special string:
-				if ( !_.isArray( val ) && val != 'auto' ) {
-					errors[key] = prefix + 'Must be an array of strings or "auto".';
-				}; // end IF
+		var layers = this.resolve( names ),
+			steps = [];
+
+		_.each( this.phases, function( phase ) {
+			_.each( layers, function( name ) {
+				steps = steps.concat( this._layers[ name ].steps[ phase ] || [] );
+			}, this );
+		}, this );
+
+		return steps;
+
+	},
+
+	// Create a view class assembled from the named layers and their dependencies:
+	compose: function( names, protoProps ) {
+
+		var layers = this.resolve( names ),
+			proto = {};
+
+		_.each( layers, function( name ) {
+			var layer = this._layers[ name ];
+			if ( layer.view ) {
+				// Only methods declared by the layer's own view; later layers may override methods of the layers they require (e.g., xScale):
+				_.extend( proto, _.omit( _.pick( layer.view.prototype, _.keys( layer.view.prototype ) ), 'constructor', 'initialize', 'layers' ) );
+			}; // end IF
+			_.extend( proto, layer.methods );
+		}, this );
+
+		proto.layers = layers;
+
+		return App.Views.ChartBase.extend( _.extend( proto, protoProps ) );
+
+	}
+
+};
+
+
+App.Layers
+	.register( 'base', {
+		'view': App.Views.ChartBase,
+		'steps': { 'canvas': ['initCanvas'] },
+		'resize': 'resizeCanvas'
+	})
+	.register( 'axes', {
+		'view': App.Views.ChartArea,
+		'requires': ['base'],
+		'zIndex': 20, // axes are drawn above the data
+		'steps': { 'axes': ['initAxes'] },
+		'resize': 'resizeAxes'
+	})
+	.register( 'data', {
+		'view': App.Views.DataLayer,
+		'requires': ['axes'],
+		'zIndex': 10,
+		'steps': {
+			'data': ['initData'],
+			'bind': ['bindData'],
+			'draw': ['draw']
+		},
+		'resize': 'resizeData'
+	})
+	.register( 'annotations', {
+		'view': App.Views.AnnotationLayer,
+		'requires': ['data'],
+		'zIndex': 30,
+		'steps': { 'annotate': ['annotate'] },
+		'resize': 'resizeAnnotations'
+	})
+	.register( 'listeners', {
+		'view': App.Views.ListenerLayer,
+		'requires': ['data'],
+		'steps': { 'listen': ['listen'] },
+		'teardown': 'unlisten'
+	})
+	.register( 'interaction', {
+		'view': App.Views.InteractionLayer,
+		'requires': ['listeners'], // the brush relies on listeners to redraw the chart
+		'steps': { 'interact': ['bindInteraction'] },
+		'resize': 'resizeBrush'
+	})
+	.register( 'animation', {
+		'view': App.Views.AnimationLayer,
+		'requires': ['data'],
+		'steps': {
+			'prepare': ['bindAnimation'],
+			'animate': ['animate', 'onEnter', 'onExit']
+		}
+	});
 
-				_.each( val, function( str ) {
-					if ( !_.isString( str ) ) {
-						errors[key] = prefix + 'Each array element must be a string corresponding to an externally defined CSS class.';
-					}; // end IF
-				});
-				break;
 
-			case 'brush': case 'dataCursor':
-				// Must be boolean:
-				if ( !_.isBoolean( val ) ) {
-					errors[key] = prefix + 'Must be a boolean.';
-				}; // end IF
-				break;
 
-			case 'brushProps':
-				// Must be an object:
-				if ( !_.isObject( val ) ) {
-					errors[key] = prefix + 'Must be an object.';
-					return;
-				}; // end IF
 
-				var validKeys = ['width', 'height', 'margin'];
-
-				_.each(validKeys, function(validKey) {
-					if ( !_.has( val, validKey ) ) {
-						errors[key] = prefix + 'Object must have one of the following keys: ' + validKeys;
-						return;
-					};
-
-					switch (validKey) {
-						case 'height': case 'width':
-							if ( !_.isFinite( val[validKey] ) ) {
-								errors[key] = prefix + validKey + ' must be a finite number.';
-							}; // end IF
-							break;
-						case 'margin':
-							// Must be an object:
-							if ( !_.isObject( val[validKey] ) ) {
-								errors[key][validKey] = prefix + 'Must be an object.';
-								return;
-							}; // end IF
-
-							var innerValidKeys = ['top', 'bottom', 'left', 'right'];
-							
-							_.each(innerValidKeys, function(innerValidKey) {
-								if ( !_.has( val[validKey], innerValidKey ) ) {
-									errors[key][validKey] = prefix + 'Object must have one of the following keys: ' + innerValidKeys;
-									return;
-								};
-								if ( !_.isFinite( val[validKey][innerValidKey] ) ) {
-									errors[key][validKey] = prefix + innerValidKey + ' must be a finite number.';
-								}; // end IF
-							});
-							break;
-					}; // end SWITCH
-					
+//////////////////////
+// 		Schema   	//
+//////////////////////
+
+// Declarative validation of chart options. Each option is described by a schema node, which may specify:
+//	type: a type name, or an array of type names: string, number (finite), integer, boolean, function, array, object, date, null
+//	enum: an array of allowed values, or a function returning the array
+//	pattern: a regular expression which a string must match
+//	min, max, exclusiveMin: numeric bounds
+//	lengths: an array of allowed array lengths
+//	items: a schema node applied to each array element
+//	properties: schema nodes for the keys of an object; each key is either required (required: true) or filled with its default (default: ...) when absent
+//	oneOf: an array of schema nodes, at least one of which must be satisfied
+//	nullable: whether null is allowed
+//	message: a custom error message
+// Errors are keyed by the full (dotted) path of the invalid value; e.g., 'brushProps.margin.top'.
+App.Schema = {
+
+	// Registered schema nodes, keyed by chart option:
+	_schema: {},
+
+	// Register schema nodes for chart options; e.g., layers adding options register a fragment describing those options:
+	register: function( fragment ) {
+
+		_.each( fragment, function( node, key ) {
+			if ( _.has( this._schema, key ) ) {
+				App.Reports.warning( 'SCHEMA_REDEFINED', 'schema for "' + key + '" redefined.', {
+					'option': key
 				});
-				break;
+			}; // end IF
+			this._schema[ key ] = node;
+		}, this );
 
-			case 'interpolation': case 'animation': case 'mode':
-				// Must be a string:
-				if ( !_.isString( val ) ) {
-					errors[key] = prefix + 'Must be a string.';
-				}; // end IF
+		return this;
 
-				var validVals;
-				switch (key) {
-					case 'interpolation':
-						validVals = ['linear', 'linear-closed', 'step', 'step-before', 'step-after', 'basis', 'basis-open', 'basis-closed', 'bundle', 'cardinal', 'cardinal-open', 'cardinal-closed', 'monotone'];
-						break;
-					case 'animation':
-						validVals = ['enterLeft', 'arise'];
-						break;
-					case 'mode':
-						validVals = ['window', 'add', 'dynamic'];
-						break;
-				}; // end SWITCH (key)
-
-				var index = validVals.indexOf( val );
-
-				if (index == -1) {
-					// Value not found:
-					errors[key] = prefix + 'Assigned value must be one of the following options: ' + validVals;
-				}; // end IF
+	},
 
-				break;
+	get: function( key ) {
+		return this._schema[ key ];
+	},
 
-			case 'listeners':
-				// Must be an object:
-				if ( !_.isObject( val ) ) {
-					errors[key] = prefix + 'Must be an object.';
-					return;
+	// Validate chart options, returning an object of errors keyed by dotted path: (options without a schema are not validated)
+	validate: function( attrs ) {
+
+		var errors = {};
+
+		_.each( attrs, function( val, key ) {
+			if ( this._schema[ key ] ) {
+				this.check( this._schema[ key ], val, key, errors );
+			}; // end IF
+		}, this );
+
+		return errors;
+
+	},
+
+	// Return a copy of the chart options, in which absent nested keys having defaults are filled:
+	defaults: function( attrs ) {
+
+		var copy = {};
+
+		_.each( attrs, function( val, key ) {
+			copy[ key ] = this._schema[ key ] ? this.fill( this._schema[ key ], val ) : val;
+		}, this );
+
+		return copy;
+
+	},
+
+	fill: function( node, val ) {
+
+		if ( !node.properties || !this.is( val, 'object' ) ) {
+			return val;
+		}; // end IF
+
+		var copy = _.clone( val );
+
+		_.each( node.properties, function( child, key ) {
+			if ( !_.has( copy, key ) ) {
+				if ( _.has( child, 'default' ) ) {
+					copy[ key ] = this.fill( child, child['default'] );
 				}; // end IF
+			} else {
+				copy[ key ] = this.fill( child, copy[ key ] );
+			}; // end IF/ELSE
+		}, this );
+
+		return copy;
+
+	},
+
+	// Check a value against a schema node, recording any errors; returns whether the value is valid:
+	check: function( node, val, path, errors ) {
+
+		var prefix = 'ERROR:invalid input for "' + path + '". ',
+			types;
+
+		if ( val === null && node.nullable ) {
+			return true;
+		}; // end IF
+
+		if ( node.oneOf ) {
+			var valid = _.some( node.oneOf, function( option ) {
+				return this.check( option, val, path, {} );
+			}, this );
+			if ( !valid ) {
+				errors[ path ] = prefix + ( node.message || 'Value does not match any of the allowed forms.' );
+			}; // end IF
+			return valid;
+		}; // end IF
+
+		if ( node.type ) {
+			types = _.isArray( node.type ) ? node.type : [ node.type ];
+			if ( !_.some( types, function( type ) { return this.is( val, type ); }, this ) ) {
+				errors[ path ] = prefix + ( node.message || 'Must be ' + _.map( types, this.article ).join( ' or ' ) + '.' );
+				return false;
+			}; // end IF
+		}; // end IF
+
+		if ( node['enum'] ) {
+			// Allowed values may be provided by a function; e.g., when values are registered at runtime:
+			var values = _.isFunction( node['enum'] ) ? node['enum']() : node['enum'];
+			if ( !_.contains( values, val ) ) {
+				errors[ path ] = prefix + ( node.message || 'Assigned value must be one of the following options: ' + values );
+				return false;
+			}; // end IF
+		}; // end IF
+
+		if ( node.pattern && !node.pattern.test( val ) ) {
+			errors[ path ] = prefix + ( node.message || 'Must match the pattern ' + node.pattern + '.' );
+			return false;
+		}; // end IF
 
-				var validKeys = ['chart', 'data'];
+		if ( _.isNumber( val ) ) {
+			if ( ( _.has( node, 'min' ) && val < node.min ) || ( _.has( node, 'exclusiveMin' ) && val <= node.exclusiveMin ) || ( _.has( node, 'max' ) && val > node.max ) ) {
+				errors[ path ] = prefix + ( node.message || 'Must be ' + this.range( node ) + '.' );
+				return false;
+			}; // end IF
+		}; // end IF
+
+		if ( _.isArray( val ) ) {
+			if ( node.lengths && !_.contains( node.lengths, val.length ) ) {
+				errors[ path ] = prefix + ( node.message || 'Must be an array of length ' + node.lengths.join( ' or ' ) + '.' );
+				return false;
+			}; // end IF
+			if ( node.items ) {
+				return _.reduce( val, function( valid, item, i ) {
+					return this.check( node.items, item, path + '.' + i, errors ) && valid;
+				}, true, this );
+			}; // end IF
+		}; // end IF
 
-				_.each(validKeys, function(validKey) {
-					if ( !_.isBoolean( val[validKey] ) ) {
-						errors[key] = prefix + validKey + ' must be a boolean.';
+		if ( node.properties && this.is( val, 'object' ) ) {
+			return _.reduce( node.properties, function( valid, child, key ) {
+				if ( !_.has( val, key ) ) {
+					if ( child.required ) {
+						errors[ path + '.' + key ] = 'ERROR:invalid input for "' + path + '.' + key + '". Required key is missing.';
+						return false;
 					}; // end IF
-				});
-				break;
-			
+					return valid;
+				}; // end IF
+				return this.check( child, val[ key ], path + '.' + key, errors ) && valid;
+			}, true, this );
+		}; // end IF
+
+		return true;
+
+	},
+
+	is: function( val, type ) {
+
+		switch ( type ) {
+			case 'string':
+				return _.isString( val );
+			case 'number':
+				return _.isNumber( val ) && _.isFinite( val );
+			case 'integer':
+				return _.isNumber( val ) && _.isFinite( val ) && val % 1 === 0;
+			case 'boolean':
+				return _.isBoolean( val );
+			case 'function':
+				return _.isFunction( val );
+			case 'array':
+				return _.isArray( val );
+			case 'object':
+				return _.isObject( val ) && !_.isArray( val ) && !_.isFunction( val ) && !_.isDate( val );
+			case 'date':
+				return _.isDate( val );
+			case 'null':
+				return val === null;
+			default:
+				return false;
+		}; // end SWITCH type
 
-		}; // end SWITCH
+	},
+
+	article: function( type ) {
+		return {
+			'string': 'a string',
+			'number': 'a finite number',
+			'integer': 'an integer',
+			'boolean': 'a boolean',
+			'function': 'a function',
+			'array': 'an array',
+			'object': 'an object',
+			'date': 'a Date',
+			'null': 'null'
+		}[ type ];
+	},
+
+	range: function( node ) {
+		var bounds = [];
+		if ( _.has( node, 'min' ) ) {
+			bounds.push( 'greater than or equal to ' + node.min );
+		}; // end IF
+		if ( _.has( node, 'exclusiveMin' ) ) {
+			bounds.push( 'greater than ' + node.exclusiveMin );
+		}; // end IF
+		if ( _.has( node, 'max' ) ) {
+			bounds.push( 'less than or equal to ' + node.max );
+		}; // end IF
+		return 'a number ' + bounds.join( ' and ' );
+	}
+
+};
+
+
+// Reusable schema nodes:
+App.Schema.nodes = {
+
+	margin: function() {
+		return {
+			type: 'object',
+			properties: {
+				'top': { type: 'number', required: true },
+				'right': { type: 'number', required: true },
+				'bottom': { type: 'number', required: true },
+				'left': { type: 'number', required: true }
+			}
+		};
+	},
+
+	domain: function() {
+		return {
+			type: 'array',
+			lengths: [0, 2],
+			items: {
+				oneOf: [ { type: ['number', 'date'] }, { 'enum': ['min', 'max'] } ],
+				message: 'Array elements must be finite numbers, Dates or special strings "min" or "max".'
+			}
+		};
+	},
+
+	accessor: function() {
+		return {
+			type: ['function', 'string'],
+			message: 'Must be either a function or a string property name.'
+		};
+	},
+
+	// Configuration of an individual axis: (orients lists the allowed orientations, the first being the default)
+	axis: function( orients ) {
+		return {
+			type: 'object',
+			properties: {
+				'orient': { type: 'string', 'enum': orients, 'default': orients[0] },
+				'ticks': { type: 'integer', min: 0, nullable: true, 'default': null },
+				'tickValues': {
+					type: 'array',
+					items: { type: ['number', 'date'] },
+					nullable: true,
+					'default': null,
+					message: 'Must be either an array of finite numbers or Dates, or null.'
+				},
+				'tickSize': { type: 'number', 'default': 6 },
+				'tickRotation': { type: 'number', min: -90, max: 90, 'default': 0 },
+				'labelOffset': { type: 'number', nullable: true, 'default': null },
+				'grid': { type: 'boolean', 'default': false },
+				'tickFormat': {
+					type: ['string', 'function'],
+					nullable: true,
+					'default': null,
+					message: 'Must be either a format specifier, a function or null.'
+				},
+				'exponent': { type: 'number', 'default': 2 },
+				'constant': { type: 'number', exclusiveMin: 0, 'default': 1 }
+			}
+		};
+	},
 
-	}; // end FUNCTION validator(key)
+	scaleType: function() {
+		return { type: 'string', 'enum': ['linear', 'time', 'log', 'pow', 'sqrt', 'symlog'] };
+	},
+
+	// Transition settings for entering, updating and exiting elements:
+	transitions: function() {
+		var props = {
+			type: 'object',
+			properties: {
+				'duration': { type: 'number', min: 0, 'default': 1000 },
+				'easing': {
+					type: 'string',
+					pattern: /^(linear|poly|quad|cubic|sin|exp|circle|elastic|back|bounce)(-(in|out|in-out|out-in))?$/,
+					message: 'Must be a d3 easing; e.g., linear, cubic-in-out.',
+					'default': 'linear'
+				}
+			}
+		};
+		return {
+			type: 'object',
+			properties: {
+				'onEnter': _.extend( { 'default': {} }, props ),
+				'onUpdate': _.extend( { 'default': {} }, props ),
+				'onExit': _.extend( { 'default': {} }, props )
+			}
+		};
+	}
+
+};
+
+
+// Chart options:
+App.Schema.register( {
+
+	// Chart area:
+	'margin': App.Schema.nodes.margin(),
+	'canvas': {
+		type: 'object',
+		properties: {
+			'width': { type: 'number', min: 0, required: true },
+			'height': { type: 'number', min: 0, required: true }
+		}
+	},
+
+	// Persistence:
+	'name': { type: 'string' },
+	'dataUrl': { type: 'string' },
 
-}; // end FUNCTION Backbone.validate()
\ No newline at end of file
+	// Annotations:
+	'title': { type: 'string' },
+	'caption': { type: 'string' },
+	'legend': {
+		oneOf: [ { type: 'boolean' }, { type: 'array', items: { type: 'string' } } ],
+		message: 'Must be either a boolean or an array of strings.'
+	},
+	'xLabel': { type: 'string' },
+	'yLabel': { type: 'string' },
+	'y2Label': { type: 'string' },
+	'dataCursor': { type: 'boolean' },
+	'errorPanel': { type: 'boolean' },
+
+	// Layout:
+	'responsive': {
+		oneOf: [ { type: 'boolean' }, { type: 'number', exclusiveMin: 0, max: 1 } ],
+		message: 'Must be either a boolean or a number greater than 0 and less than or equal to 1.'
+	},
+
+	// Scales:
+	'xDomain': App.Schema.nodes.domain(),
+	'yDomain': App.Schema.nodes.domain(),
+	'y2Domain': App.Schema.nodes.domain(),
+	'xScaleType': App.Schema.nodes.scaleType(),
+	'yScaleType': App.Schema.nodes.scaleType(),
+	'y2ScaleType': App.Schema.nodes.scaleType(),
+	'axes': {
+		type: 'object',
+		properties: {
+			'x': App.Schema.nodes.axis( ['bottom', 'top'] ),
+			'y': App.Schema.nodes.axis( ['left', 'right'] ),
+			'y2': App.Schema.nodes.axis( ['right', 'left'] )
+		}
+	},
+	'timeParse': { type: 'string', nullable: true },
+	'timeFormat': { type: 'string' },
+
+	// Data layer:
+	'theme': {
+		type: 'string',
+		'enum': function() { return App.Themes ? App.Themes.list() : ['light']; }
+	},
+	'colors': {
+		oneOf: [ { 'enum': ['auto'] }, { type: 'array', items: { type: 'string' } } ],
+		message: 'Must be an array of strings, each corresponding to an externally defined CSS class, or "auto".'
+	},
+	'interpolation': { type: 'string', 'enum': ['linear', 'linear-closed', 'step', 'step-before', 'step-after', 'basis', 'basis-open', 'basis-closed', 'bundle', 'cardinal', 'cardinal-open', 'cardinal-closed', 'monotone'] },
+	'downsample': { 'enum': [false, 'lttb', 'minmax'] },
+	'downsampleDensity': { type: 'number', exclusiveMin: 0 },
+	'missing': { type: 'string', 'enum': ['gap', 'interpolate', 'zero'] },
+	'uncertainty': { 'enum': [false, 'band', 'errorbars'] },
+	'mode': { type: 'string', 'enum': ['window', 'add', 'dynamic'] },
+	'windowSize': { type: 'integer', min: 1, nullable: true },
+	'windowDuration': { type: 'number', exclusiveMin: 0, nullable: true },
+
+	// Data accessors:
+	'xAccessor': App.Schema.nodes.accessor(),
+	'yAccessor': App.Schema.nodes.accessor(),
+	'lowerAccessor': App.Schema.nodes.accessor(),
+	'upperAccessor': App.Schema.nodes.accessor(),
+	'seriesAccessor': App.Schema.nodes.accessor(),
+	'keyAccessor': _.extend( App.Schema.nodes.accessor(), { nullable: true } ),
+
+	// Listeners:
+	'listeners': {
+		type: 'object',
+		properties: {
+			'chart': { type: 'boolean', 'default': true },
+			'data': { type: 'boolean', 'default': true }
+		}
+	},
+
+	// Interaction:
+	'brush': { type: 'boolean' },
+	'brushProps': {
+		type: 'object',
+		properties: {
+			'width': { type: 'number', min: 0, required: true },
+			'height': { type: 'number', min: 0, required: true },
+			'margin': _.extend( App.Schema.nodes.margin(), { required: true } )
+		}
+	},
+
+	// Animation:
+	'animation': { type: 'string', 'enum': ['enterLeft', 'arise'] },
+	'animationProps': App.Schema.nodes.transitions(),
+	'transition': App.Schema.nodes.transitions()
+
+});
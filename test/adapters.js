@@ -0,0 +1,61 @@
+// Tests: data adapters
+
+Test.add( 'adapters: rows and ragged rows are expanded into data series', function( assert ) {
+
+	assert.equal( App.Adapters.convert( 'rows', [ {x: 0, y: [1, 2]}, {x: 1, y: [3, 4]} ] ), [
+		{ 'name': 'line0', 'dataSeries': [ {x: 0, y: 1}, {x: 1, y: 3} ] },
+		{ 'name': 'line1', 'dataSeries': [ {x: 0, y: 2}, {x: 1, y: 4} ] }
+	], 'rows' );
+
+	assert.equal( App.Adapters.convert( 'ragged', [ {x: 0, y: [1, 2]}, {x: 1, y: [3]} ] ), [
+		{ 'name': 'line0', 'dataSeries': [ {x: 0, y: 1}, {x: 1, y: 3} ] },
+		{ 'name': 'line1', 'dataSeries': [ {x: 0, y: 2} ] }
+	], 'ragged' );
+
+	assert.ok( /Row 1 has 1 y values/.test( App.Adapters.validate( 'rows', [ {x: 0, y: [1, 2]}, {x: 1, y: [3]} ] ) ), 'rows of different lengths' );
+	assert.ok( /Row 0 must be an object/.test( App.Adapters.validate( 'ragged', [ {x: 0} ] ) ), 'row without y values' );
+
+});
+
+Test.add( 'adapters: columns and named series are converted into data series', function( assert ) {
+
+	assert.equal( App.Adapters.convert( 'columns', { 't': [0, 1], 'a': [1, 2] }, { 'x': 't' } ), [
+		{ 'name': 'a', 'dataSeries': [ {x: 0, y: 1}, {x: 1, y: 2} ] }
+	], 'columns' );
+
+	assert.equal( App.Adapters.convert( 'series', [ { 'name': 'a', 'values': [ {x: 0, y: 1, z: 2} ] } ] ), [
+		{ 'name': 'a', 'dataSeries': [ {x: 0, y: 1} ] }
+	], 'series' );
+
+	assert.ok( /Column "a" has 1 values/.test( App.Adapters.validate( 'columns', { 'x': [0, 1], 'a': [1] } ) ), 'columns of different lengths' );
+	assert.ok( /Value 0 of series "a"/.test( App.Adapters.validate( 'series', [ { 'name': 'a', 'values': [ {x: 0} ] } ] ) ), 'value without a y key' );
+
+});
+
+Test.add( 'adapters: delimited text is converted into data series, skipping empty fields', function( assert ) {
+
+	var expected = [
+		{ 'name': 'a', 'dataSeries': [ {x: 1, y: 2} ] },
+		{ 'name': 'b', 'dataSeries': [ {x: 1, y: 3}, {x: 4, y: 5} ] }
+	];
+
+	// A trailing empty field is dropped when parsing the last row:
+	assert.equal( App.Adapters.convert( 'csv', 't,a,b\n1,2,3\n4,,5' ), expected, 'csv' );
+	assert.equal( App.Adapters.convert( 'tsv', 't\tb\ta\n1\t3\t2\n4\t5\t' ), expected.slice().reverse(), 'tsv, trailing empty field' );
+	assert.equal( App.Adapters.convert( 'csv', 'a,t\n2,1', { 'x': 't' } ), [ expected[0] ], 'named x column' );
+
+	assert.ok( /Row 1 has 3 fields/.test( App.Adapters.validate( 'csv', 't,a\n1,2,3' ) ), 'long row' );
+	assert.ok( /does not contain the x column "t"/.test( App.Adapters.validate( 'tsv', 'x\ta\n1\t2', { 'x': 't' } ) ), 'missing x column' );
+	assert.ok( /header row and at least one data row/.test( App.Adapters.validate( 'csv', 't,a' ) ), 'header only' );
+
+});
+
+Test.add( 'adapters: malformed input is reported to the reporter', function( assert ) {
+
+	var collection = new App.Collections.Data();
+
+	assert.equal( App.Adapters.convert( 'csv', 't,a\n1,2,3', {}, collection ), null, 'no data' );
+	assert.equal( _.pluck( collection.reports, 'code' ), [ 'INVALID_DATA' ], 'reported' );
+	assert.ok( /^ERROR:unrecognized adapter "xml"/.test( App.Adapters.validate( 'xml', '' ) ), 'unknown adapter' );
+
+});
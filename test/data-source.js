@@ -0,0 +1,80 @@
+// Tests: App.DataSource, using the local stand-in server (App.DataSource.Server)
+
+function streamingCollection() {
+	return new App.Collections.Data( [ { 'dataSeries': [ {x: -1, y: 0} ] }, { 'dataSeries': [ {x: -1, y: 0} ] } ] );
+}; // end FUNCTION streamingCollection()
+
+Test.add( 'data source: websocket points are appended and the source reconnects when dropped', function( assert, done ) {
+
+	var collection = streamingCollection(),
+		server = new App.DataSource.Server( { 'interval': 10, 'series': 2 } ),
+		source = new App.DataSource( {
+			'collection': collection,
+			'url': 'ws://local',
+			'WebSocket': server.WebSocket,
+			'reconnect': { 'delay': 10 }
+		}),
+		opened = 0;
+
+	source.on( 'open', function() {
+		opened++;
+		if ( opened === 1 ) {
+			// Drop the connection once a few messages have arrived:
+			setTimeout( function() {
+				server.drop();
+			}, 50 );
+			return;
+		}; // end IF
+		source.stop();
+		assert.ok( collection.at( 0 ).get( 'dataSeries' ).length > 2, 'points appended' );
+		assert.equal( collection.at( 0 ).get( 'dataSeries' ).length, collection.at( 1 ).get( 'dataSeries' ).length, 'both data series appended' );
+		done();
+	});
+
+	source.start();
+
+});
+
+Test.add( 'data source: eventsource and poll transports append points', function( assert, done ) {
+
+	var collection = streamingCollection(),
+		server = new App.DataSource.Server( { 'interval': 10 } ),
+		events = new App.DataSource( { 'collection': collection, 'transport': 'eventsource', 'url': '/events', 'EventSource': server.EventSource } ),
+		poll = new App.DataSource( { 'collection': collection, 'transport': 'poll', 'url': '/points', 'interval': 10, 'request': server.request } );
+
+	events.start();
+	poll.start();
+
+	setTimeout( function() {
+		events.stop();
+		poll.stop();
+		assert.ok( collection.at( 0 ).get( 'dataSeries' ).length > 4, 'points appended' );
+		done();
+	}, 100 );
+
+});
+
+Test.add( 'data source: a throwing WebSocket constructor fails the connection and retries', function( assert, done ) {
+
+	var server = new App.DataSource.Server(),
+		source = new App.DataSource( {
+			'collection': streamingCollection(),
+			'url': 'not a url',
+			'WebSocket': server.WebSocket,
+			'reconnect': { 'delay': 5, 'retries': 2 }
+		}),
+		errors = 0;
+
+	source.on( 'error', function() {
+		errors++;
+	});
+
+	source.on( 'close', function() {
+		assert.equal( errors, 3, 'initial attempt and two retries' );
+		assert.equal( _.last( source.collection.reports ).code, 'SOURCE_FAILED' );
+		done();
+	});
+
+	source.start();
+
+});
@@ -0,0 +1,28 @@
+// Tests: DataLayer.downsample
+
+Test.add( 'downsample: series having frequent missing values are reduced, keeping their gaps', function( assert ) {
+
+	// 20000 points, missing every 100th value:
+	var data = _.map( _.range( 20000 ), function( i ) {
+		return { 'x': i, 'y': ( i % 100 === 50 ) ? null : Math.sin( i/500 ) };
+	});
+
+	var el = d3.select( 'body' ).append( 'div' ).attr( 'id', 'downsample-fixture' );
+
+	var view = new App.Views.DataLayer( {
+		el: '#downsample-fixture',
+		collection: new App.Collections.Data( [ { 'dataSeries': data } ] ),
+		model: new App.Models.Chart( { 'canvas': { 'width': 600, 'height': 300 }, 'downsample': 'lttb' } )
+	}).render();
+
+	var path = el.select( '.line' ).attr( 'd' ),
+		segments = path.match( /[ML]/g ).length,
+		breaks = path.match( /M/g ).length;
+
+	assert.ok( segments < 2000, 'reduced to about a point per pixel; got ' + segments + ' points' );
+	assert.ok( breaks > 1, 'line is broken at the missing values' );
+
+	view.destroy();
+	el.remove();
+
+});
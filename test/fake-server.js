@@ -0,0 +1,102 @@
+/**
+*	Fake server: a local stand-in for a REST server, replacing Backbone.ajax while running
+*
+*
+*
+*	NOTES:
+*		[1] Resources are kept in memory, keyed by url. GET returns the resource (or a 404), while POST and PUT store the request body; a POSTed resource is assigned an id.
+*		[2] Responses are asynchronous, as for real requests.
+*
+*
+*
+*	 Copyright (c) 2026. Backbone.js + D3.js contributors.
+*	 License: MIT (http://www.opensource.org/licenses/mit-license.php)
+*
+*/
+
+
+var FakeServer = function( resources ) {
+
+	// Stored resources, keyed by url:
+	this.resources = _.extend( {}, resources );
+
+	// Received requests:
+	this.requests = [];
+
+};
+
+
+_.extend( FakeServer.prototype, {
+
+	start: function() {
+
+		var server = this;
+
+		this._ajax = Backbone.ajax;
+
+		Backbone.ajax = function( params ) {
+			return server.respond( params );
+		};
+
+		return this;
+
+	},
+
+	stop: function() {
+
+		Backbone.ajax = this._ajax;
+
+		return this;
+
+	},
+
+	respond: function( params ) {
+
+		var url = params.url,
+			body = params.data ? JSON.parse( params.data ) : null,
+			status = 200,
+			response;
+
+		this.requests.push( { 'type': params.type, 'url': url, 'body': body } );
+
+		switch ( params.type ) {
+
+			case 'GET':
+				if ( _.has( this.resources, url ) ) {
+					response = this.resources[ url ];
+				} else {
+					status = 404;
+				}; // end IF/ELSE
+				break;
+
+			case 'POST':
+				response = _.extend( { 'id': _.uniqueId( 'resource' ) }, body );
+				this.resources[ url + '/' + response.id ] = response;
+				break;
+
+			case 'PUT':
+				response = this.resources[ url ] = body;
+				break;
+
+			default:
+				status = 405;
+				break;
+
+		}; // end SWITCH type
+
+		// Respond with a copy, as would be parsed from a real response:
+		response = JSON.parse( JSON.stringify( response || null ) );
+
+		setTimeout( function() {
+			if ( status === 200 ) {
+				params.success( response );
+			} else {
+				params.error( { 'status': status } );
+			}; // end IF/ELSE
+		}, 0 );
+
+		return { 'status': status };
+
+	}
+
+});
@@ -0,0 +1,66 @@
+// Tests: chart layers
+
+Test.add( 'layers: dependencies are resolved and the render pipeline is ordered by phase', function( assert ) {
+
+	assert.equal( App.Layers.resolve( ['listeners'] ), [ 'base', 'axes', 'data', 'listeners' ], 'dependencies' );
+	assert.equal( App.Layers.resolve( ['annotations', 'axes'] ), [ 'base', 'axes', 'data', 'annotations' ], 'duplicates' );
+	assert.equal( App.Layers.pipeline( ['annotations'] ), [ 'initCanvas', 'initData', 'initAxes', 'bindData', 'draw', 'annotate' ], 'pipeline' );
+
+});
+
+Test.add( 'layers: a registered layer is composed into a chart, drawn in z-order', function( assert ) {
+
+	var el = d3.select( 'body' ).append( 'div' ).attr( 'id', 'layers-fixture' ),
+		steps = [];
+
+	App.Layers.register( 'test-markers', {
+		'requires': ['data'],
+		'zIndex': 15, // above the data, beneath the axes
+		'steps': { 'draw': ['drawMarkers'] },
+		'methods': {
+			drawMarkers: function() {
+				steps.push( 'drawMarkers' );
+				this.layerGroup( 'test-markers' ).append( 'svg:circle' );
+				return this;
+			},
+			draw: function() {
+				steps.push( 'draw' );
+				return App.Views.DataLayer.prototype.draw.apply( this, arguments );
+			}
+		}
+	});
+
+	var View = App.Layers.compose( ['axes', 'test-markers'] ),
+		collection = new App.Collections.Data( [ { 'dataSeries': [ {x: 0, y: 1}, {x: 1, y: 2} ] } ] ),
+		view = new View( { el: '#layers-fixture', collection: collection, model: new App.Models.Chart() } ).render();
+
+	assert.equal( view.layers, [ 'base', 'axes', 'data', 'test-markers' ], 'layers' );
+	assert.equal( steps, [ 'draw', 'drawMarkers' ], 'steps' );
+	assert.equal( _.map( el.selectAll( '.layer' )[0], function( node ) { return node.getAttribute( 'data-layer' ); } ), [ 'data', 'test-markers', 'axes' ], 'z-order' );
+	assert.equal( el.selectAll( '.layer-test-markers circle' )[0].length, 1, 'layer elements' );
+	assert.ok( !view.legend, 'annotation methods not composed' );
+
+	view.destroy();
+	el.remove();
+	delete App.Layers._layers[ 'test-markers' ];
+
+});
+
+Test.add( 'layers: invalid, unknown and circular layers are reported', function( assert ) {
+
+	App.Layers.register( 'test-a', { 'requires': ['test-b'] } )
+		.register( 'test-b', { 'requires': ['test-a'] } )
+		.register( 'test-c', { 'steps': { 'paint': ['paint'] } } );
+
+	var resolved = App.Layers.resolve( ['test-a', 'test-unknown'] ),
+		codes = _.pluck( App.Reports.reports, 'code' );
+
+	assert.equal( resolved, [ 'base', 'test-b', 'test-a' ], 'cycle broken, unknown layer ignored' );
+	assert.ok( _.contains( codes, 'CIRCULAR_LAYER_DEPENDENCY' ), 'circular dependency reported' );
+	assert.ok( _.contains( codes, 'UNKNOWN_LAYER' ), 'unknown layer reported' );
+	assert.ok( _.contains( codes, 'INVALID_LAYER' ) && !App.Layers.get( 'test-c' ), 'invalid phase rejected' );
+
+	delete App.Layers._layers[ 'test-a' ];
+	delete App.Layers._layers[ 'test-b' ];
+
+});
@@ -0,0 +1,32 @@
+// Tests: chart layout
+
+Test.add( 'layout: canvas and margin changes re-layout the chart in place', function( assert ) {
+
+	var el = d3.select( 'body' ).append( 'div' ).attr( 'id', 'layout-fixture' );
+
+	var collection = new App.Collections.Data( [ { 'dataSeries': [ {x: 0, y: 1}, {x: 1, y: 2} ] } ] ),
+		model = new App.Models.Chart( { 'title': 'Pressure', 'canvas': { 'width': 600, 'height': 400 }, 'margin': { 'top': 40, 'right': 20, 'bottom': 60, 'left': 80 } } ),
+		view = new App.Views.ListenerLayer( { el: '#layout-fixture', collection: collection, model: model } ).render(),
+		svg = el.select( 'svg' ).node(),
+		path = el.select( '.line' ).attr( 'd' );
+
+	model.set( 'canvas.width', 800 );
+
+	assert.ok( el.select( 'svg' ).node() === svg, 'not re-rendered' );
+	assert.equal( +el.select( 'svg' ).attr( 'width' ), 800, 'canvas width' );
+	assert.equal( model.get( '_graph' ), { 'width': 700, 'height': 300 }, 'graph size' );
+	assert.equal( model.get( '_xScale' ).range(), [ 0, 700 ], 'x range' );
+	assert.equal( +el.select( 'clipPath rect' ).attr( 'width' ), 700, 'clip path' );
+	assert.equal( +el.select( '.title' ).attr( 'x' ), 350, 'title position' );
+	assert.ok( el.select( '.line' ).attr( 'd' ) !== path, 'paths redrawn' );
+
+	model.set( 'margin.top', 20 );
+
+	assert.equal( model.get( '_graph' ).height, 320, 'graph height' );
+	assert.equal( model.get( '_yScale' ).range(), [ 320, 0 ], 'y range' );
+	assert.ok( /translate\(80,\s?20\)/.test( el.select( 'svg > g' ).attr( 'transform' ) ), 'chart area position' );
+
+	view.destroy();
+	el.remove();
+
+});
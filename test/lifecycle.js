@@ -0,0 +1,63 @@
+// Tests: view lifecycle
+
+Test.add( 'lifecycle: update applies chart options to the rendered chart', function( assert ) {
+
+	var el = d3.select( 'body' ).append( 'div' ).attr( 'id', 'lifecycle-fixture' );
+
+	var collection = new App.Collections.Data( [ { 'dataSeries': [ {x: 0, y: 1}, {x: 1, y: null}, {x: 2, y: 2} ] } ] ),
+		model = new App.Models.Chart( { 'title': 'Old' } ),
+		view = new App.Views.ListenerLayer( { el: '#lifecycle-fixture', collection: collection, model: model } ).render();
+
+	assert.equal( el.select( '.line' ).attr( 'd' ).match( /M/g ).length, 2, 'gap' );
+
+	view.update( { 'missing': 'zero', 'title': 'New', 'interpolation': 'step-after' } );
+
+	assert.equal( el.selectAll( '.line' )[0].length, 1, 'one path' );
+	assert.equal( el.select( '.line' ).attr( 'd' ).match( /M/g ).length, 1, 'zero-filled' );
+	assert.ok( /[HV]/.test( el.select( '.line' ).attr( 'd' ) ), 'step interpolation' );
+	assert.equal( el.selectAll( '.title' )[0].length, 1, 'one title' );
+	assert.equal( el.select( '.title' ).text(), 'New', 'title' );
+
+	view.destroy();
+	el.remove();
+
+});
+
+Test.add( 'lifecycle: destroy tears down the chart, its listeners and window handlers', function( assert ) {
+
+	var el = d3.select( 'body' ).append( 'div' ).attr( 'id', 'lifecycle-fixture' ),
+		events = [],
+		resize = function() { return ( $._data( window, 'events' ) || {} ).resize || []; },
+		handlers = resize().length;
+
+	var collection = new App.Collections.Data( [ { 'dataSeries': [ {x: 0, y: 1}, {x: 1, y: 2} ] } ] ),
+		model = new App.Models.Chart( { 'responsive': true } ),
+		view = new App.Views.InteractionLayer( { el: '#lifecycle-fixture', collection: collection, model: model } );
+
+	_.each( [ 'before:render', 'after:render', 'before:destroy', 'after:destroy' ], function( name ) {
+		view.on( name, function() { events.push( name ); } );
+	});
+
+	view.render();
+	assert.equal( resize().length, handlers + 1, 'window resize handler' );
+
+	view.destroy();
+
+	assert.equal( events, [ 'before:render', 'after:render', 'before:destroy', 'after:destroy' ], 'events' );
+	assert.equal( el.selectAll( '*' )[0].length, 0, 'chart removed' );
+	assert.ok( !view.layer, 'layers released' );
+	assert.equal( resize().length, handlers, 'window resize handler removed' );
+
+	// Changes no longer reach the destroyed view:
+	model.set( 'canvas.width', 400 );
+	collection.at( 0 ).add( 'dataSeries', {x: 2, y: 3} );
+	assert.equal( el.selectAll( '*' )[0].length, 0, 'not rendered by listeners' );
+
+	// A destroyed view may be rendered again:
+	view.render();
+	assert.equal( el.selectAll( '.line' )[0].length, 1, 'rendered again' );
+
+	view.destroy();
+	el.remove();
+
+});
@@ -0,0 +1,27 @@
+// Tests: plot update modes
+
+Test.add( 'modes: changing the mode replaces the update function', function( assert, done ) {
+
+	var el = d3.select( 'body' ).append( 'div' ).attr( 'id', 'modes-fixture' ),
+		calls = [];
+
+	var collection = new App.Collections.Data( [ { 'dataSeries': [ {x: 0, y: 0}, {x: 1, y: 1} ] } ] ),
+		model = new App.Models.Chart( { 'mode': 'add' } ),
+		view = new App.Views.ListenerLayer( { el: '#modes-fixture', collection: collection, model: model } );
+
+	view.expand = function() { calls.push( 'add' ); return this; };
+	view.reshape = function() { calls.push( 'dynamic' ); return this; };
+
+	view.render();
+
+	model.set( 'mode', 'dynamic' );
+	collection.at( 0 ).add( 'dataSeries', {x: 2, y: 2} );
+
+	_.defer( function() {
+		assert.equal( calls, [ 'dynamic' ], 'update functions called' );
+		view.destroy();
+		el.remove();
+		done();
+	});
+
+});
@@ -0,0 +1,51 @@
+// Tests: nested chart options
+
+Test.add( 'options: dotted paths and partial objects are merged with the current values', function( assert ) {
+
+	var chart = new App.Models.Chart( { 'margin': { 'left': 50 } } ),
+		margin = chart.get( 'margin' );
+
+	assert.equal( margin.left, 50, 'partial object on instantiation' );
+	assert.equal( margin.top, chart.defaults.margin.top, 'defaults kept' );
+
+	chart.set( 'margin.right', 30 );
+	assert.equal( chart.get( 'margin' ), _.extend( {}, margin, { 'right': 30 } ), 'dotted path' );
+	assert.equal( chart.get( 'margin.right' ), 30, 'dotted get' );
+
+	chart.set( { 'transition': { 'onUpdate': { 'duration': 250 } } } );
+	assert.equal( chart.get( 'transition.onUpdate.duration' ), 250, 'deep merge' );
+	assert.equal( chart.get( 'transition.onUpdate.easing' ), chart.defaults.transition.onUpdate.easing, 'sibling kept' );
+	assert.equal( chart.get( 'transition.onEnter' ), chart.defaults.transition.onEnter, 'nested sibling kept' );
+
+	chart.set( 'xDomain', [ 0, 10 ] );
+	chart.set( 'xDomain', [ 5 ] );
+	assert.equal( chart.get( 'xDomain' ), [ 0, 10 ], 'arrays replaced, not merged (invalid length rejected)' );
+	chart.set( 'xDomain', [] );
+	assert.equal( chart.get( 'xDomain' ), [], 'arrays replaced' );
+
+});
+
+Test.add( 'options: changed nested keys fire granular events', function( assert ) {
+
+	var chart = new App.Models.Chart(),
+		events = [];
+
+	chart.on( 'all', function( name ) {
+		if ( /^change:(margin|transition)/.test( name ) ) {
+			events.push( name );
+		}; // end IF
+	});
+
+	chart.set( 'margin.left', chart.get( 'margin.left' ) + 10 );
+	assert.equal( events, [ 'change:margin', 'change:margin.left' ], 'dotted path' );
+
+	events = [];
+	chart.set( { 'transition': { 'onUpdate': { 'duration': 1, 'easing': chart.get( 'transition.onUpdate.easing' ) } } } );
+	assert.equal( events, [ 'change:transition', 'change:transition.onUpdate', 'change:transition.onUpdate.duration' ], 'partial object' );
+
+	events = [];
+	chart.set( 'margin.left', chart.get( 'margin.left' ) );
+	chart.set( 'margin.left', 0, { 'silent': true } );
+	assert.equal( events, [], 'unchanged or silent' );
+
+});
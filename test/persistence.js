@@ -0,0 +1,87 @@
+// Tests: Backbone.sync persistence, using a fake server
+
+Test.add( 'persistence: a chart configuration is saved and fetched by id', function( assert, done ) {
+
+	var server = new FakeServer().start(),
+		chart = new App.Models.Chart( { 'id': 'pressure', 'name': 'Pressure', 'dataUrl': '/data/pressure', 'yLabel': 'hPa' }, { 'urlRoot': '/charts' } );
+
+	chart.set( '_xDomain', [ 0, 1 ] );
+
+	chart.save( null, {
+		'success': function() {
+
+			var stored = server.resources[ '/charts/pressure' ];
+
+			assert.equal( server.requests[0].type, 'PUT', 'request method' );
+			assert.equal( stored.yLabel, 'hPa', 'stored option' );
+			assert.ok( !_.has( stored, '_xDomain' ), 'generated attributes are not stored' );
+
+			var fetched = new App.Models.Chart( { 'id': 'pressure' }, { 'urlRoot': '/charts' } );
+
+			fetched.fetch( {
+				'success': function() {
+					server.stop();
+					assert.equal( fetched.get( 'name' ), 'Pressure', 'fetched name' );
+					assert.equal( fetched.get( 'dataUrl' ), '/data/pressure', 'fetched data url' );
+					done();
+				},
+				'error': function() {
+					server.stop();
+					assert.ok( false, 'fetch failed' );
+					done();
+				}
+			});
+
+		}
+	});
+
+});
+
+Test.add( 'persistence: a collection is fetched with a response mapping', function( assert, done ) {
+
+	var server = new FakeServer( {
+		'/data/pressure': { 'results': [ { 'label': 'station 1', 'points': [ {t: 0, v: 1013}, {t: 1, v: 1012} ] } ] }
+	}).start();
+
+	var collection = new App.Collections.Data( [], {
+		'mapping': { 'root': 'results', 'series': { 'name': 'label', 'dataSeries': 'points' }, 'point': { 'x': 't', 'y': 'v' } }
+	});
+
+	collection.url = '/data/pressure';
+
+	collection.fetch( {
+		'success': function() {
+			server.stop();
+			assert.equal( collection.at( 0 ).get( 'name' ), 'station 1', 'series name' );
+			assert.equal( collection.at( 0 ).get( 'dataSeries' ), [ {x: 0, y: 1013}, {x: 1, y: 1012} ], 'data points' );
+			done();
+		}
+	});
+
+});
+
+Test.add( 'persistence: a stored chart configuration is built with the data it visualizes', function( assert, done ) {
+
+	var server = new FakeServer( {
+		'/charts/pressure': { 'id': 'pressure', 'dataUrl': '/data/pressure', 'yLabel': 'hPa' },
+		'/data/pressure': [ { 'dataSeries': [ {x: 0, y: 1013}, {x: 1, y: 1012} ] } ]
+	}).start();
+
+	var el = d3.select( 'body' ).append( 'div' ).attr( 'id', 'persistence-fixture' ),
+		config = new App.Models.Chart( { 'id': 'pressure' }, { 'urlRoot': '/charts' } );
+
+	config.fetch( {
+		'success': function() {
+			App.Spec.build( { 'el': '#persistence-fixture', 'layer': 'DataLayer', 'chart': config.chartOptions( config.toJSON() ) }, function( view ) {
+				server.stop();
+				assert.equal( server.requests[1].url, '/data/pressure', 'data fetched from the dataUrl' );
+				assert.equal( view.collection.at( 0 ).get( 'dataSeries' ).length, 2, 'data points' );
+				assert.equal( App.Spec.serialize( view ).data.url, '/data/pressure', 'serialized data url' );
+				view.destroy();
+				el.remove();
+				done();
+			});
+		}
+	});
+
+});
@@ -0,0 +1,57 @@
+// Tests: error and warning reports
+
+Test.add( 'reports: malformed data parsed before rendering is surfaced by the chart', function( assert ) {
+
+	var el = d3.select( 'body' ).append( 'div' ).attr( 'id', 'reports-fixture' );
+
+	var view = App.Spec.build( {
+		'el': '#reports-fixture',
+		'layer': 'ListenerLayer',
+		'data': { 'values': [ {x: 0} ], 'adapter': 'rows' },
+		'chart': { 'errorPanel': true }
+	});
+
+	assert.ok( view, 'chart built' );
+	assert.equal( _.pluck( view.collection.reports, 'code' ), [ 'INVALID_DATA' ], 'collection reports' );
+	assert.ok( _.contains( _.pluck( view.model.reports, 'code' ), 'INVALID_DATA' ), 'chart reports' );
+	assert.equal( el.selectAll( '.chart-message[data-code="INVALID_DATA"]' )[0].length, 1, 'error panel messages' );
+
+	view.destroy();
+	el.remove();
+
+});
+
+Test.add( 'reports: problems reported after rendering are forwarded once', function( assert ) {
+
+	var el = d3.select( 'body' ).append( 'div' ).attr( 'id', 'reports-fixture' ),
+		codes = [];
+
+	var collection = new App.Collections.Data( [ { 'dataSeries': [ {x: 0, y: 0}, {x: 1, y: 1} ] } ] ),
+		model = new App.Models.Chart(),
+		view = new App.Views.ListenerLayer( { el: '#reports-fixture', collection: collection, model: model } ).render();
+
+	model.on( 'error warning', function( model, report ) {
+		codes.push( report.code );
+	});
+
+	// Data source, library and collection problems:
+	new App.DataSource( { 'collection': collection } ).push( [ { 'series': 'unknown', 'x': 2, 'y': 2 } ] );
+	App.Themes.register( 'invalid theme', {} );
+	collection.resample( -1 );
+
+	// Rendering again does not repeat earlier reports:
+	view.render();
+
+	assert.equal( codes, [ 'UNKNOWN_SERIES', 'INVALID_THEME', 'INVALID_INTERVAL' ] );
+
+	view.destroy();
+	el.remove();
+
+});
+
+Test.add( 'reports: invalid specifications are reported by the library', function( assert ) {
+
+	assert.equal( App.Spec.build( { 'el': 1 } ), null, 'no chart built' );
+	assert.equal( _.last( App.Reports.reports ).code, 'INVALID_SPEC' );
+
+});
@@ -0,0 +1,50 @@
+// Tests: App.Collections.Data.resample
+
+Test.add( 'resample: every bucket of a fractional interval receives its points', function( assert ) {
+
+	// 1000 points, evenly spaced at 0.02, starting at 0.5: (as in data/example2.json)
+	var data = _.map( _.range( 1000 ), function( i ) {
+		return { 'x': Math.round( ( 0.5 + i*0.02 ) * 100 ) / 100, 'y': i };
+	});
+
+	var collection = new App.Collections.Data( [ { 'dataSeries': data } ] ),
+		counts = collection.resample( 0.1, 'count' ).at( 0 ).get( 'dataSeries' );
+
+	assert.equal( counts.length, 200, 'number of buckets' );
+	assert.equal( _.filter( counts, function( d ) { return d.y !== 5; } ).length, 0, 'buckets not having 5 points' );
+	assert.equal( counts[ 3 ].x, 0.8, 'bucket boundary' );
+
+});
+
+Test.add( 'resample: buckets are emitted for gaps in the data', function( assert ) {
+
+	var collection = new App.Collections.Data( [ { 'dataSeries': [ {x: 0.1, y: 1}, {x: 0.15, y: 3}, {x: 0.4, y: 5} ] } ] ),
+		means = collection.resample( 0.1, 'mean' ).at( 0 ).get( 'dataSeries' );
+
+	assert.equal( _.pluck( means, 'y' ), [ 2, null, null, 5 ] );
+
+});
+
+Test.add( 'resample: the derived collection stays in sync with its source', function( assert ) {
+
+	var collection = new App.Collections.Data( [ { 'dataSeries': [ {x: 0, y: 1}, {x: 0.3, y: 3} ] } ] ),
+		derived = collection.resample( 0.3, 'sum' );
+
+	collection.at( 0 ).set( 'dataSeries', [ {x: 0, y: 1}, {x: 0.3, y: 3}, {x: 0.5, y: 4} ] );
+
+	assert.equal( _.pluck( derived.at( 0 ).get( 'dataSeries' ), 'y' ), [ 1, 7 ] );
+
+});
+
+Test.add( 'resample: runs of empty buckets are marked by their first and last buckets', function( assert ) {
+
+	// An outlier a million buckets away:
+	var collection = new App.Collections.Data( [ { 'dataSeries': [ {x: 0, y: 1}, {x: 0.5, y: 2}, {x: 1e6, y: 3} ] } ] ),
+		counts = collection.resample( 1, 'count' ).at( 0 ).get( 'dataSeries' ),
+		times = new App.Collections.Data( [ { 'dataSeries': [ {x: new Date( 0 ), y: 1}, {x: new Date( 86400000 ), y: 2} ] } ] ).resample( d3.time.second, 'mean' ).at( 0 ).get( 'dataSeries' );
+
+	assert.equal( counts, [ {x: 0, y: 2}, {x: 1, y: 0}, {x: 999999, y: 0}, {x: 1e6, y: 1} ], 'numeric buckets' );
+	assert.equal( _.map( times, function( d ) { return +d.x; } ), [ 0, 1000, 86399000, 86400000 ], 'time buckets' );
+	assert.equal( _.pluck( times, 'y' ), [ 1, null, null, 2 ], 'time bucket values' );
+
+});
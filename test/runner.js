@@ -0,0 +1,119 @@
+/**
+*	Test runner: a minimal runner for the browser test page (test/index.html)
+*
+*
+*
+*	NOTES:
+*		[1] Tests are registered via Test.add( 'description', function( assert ) {...} ). Asynchronous tests accept a second argument, a callback to invoke once done.
+*		[2] Results are listed on the page and logged to the console.
+*
+*
+*
+*	 Copyright (c) 2026. Backbone.js + D3.js contributors.
+*	 License: MIT (http://www.opensource.org/licenses/mit-license.php)
+*
+*/
+
+
+var Test = {
+
+	// Registered tests:
+	_tests: [],
+
+	// Maximum duration of an asynchronous test: [ms]
+	timeout: 5000,
+
+	add: function( name, fcn ) {
+		this._tests.push( { 'name': name, 'fcn': fcn } );
+		return this;
+	},
+
+	run: function( clbk ) {
+
+		var tests = this._tests.slice(),
+			results = [],
+			timeout = this.timeout;
+
+		next();
+
+		return this;
+
+		function next() {
+
+			var test = tests.shift(),
+				failures = [],
+				finished = false,
+				timer;
+
+			if ( !test ) {
+				report( results );
+				if ( clbk ) {
+					clbk( results );
+				}; // end IF
+				return;
+			}; // end IF
+
+			var assert = {
+				ok: function( value, message ) {
+					if ( !value ) {
+						failures.push( message || 'expected a truthy value' );
+					}; // end IF
+				},
+				equal: function( actual, expected, message ) {
+					if ( !_.isEqual( actual, expected ) ) {
+						failures.push( ( message ? message + ': ' : '' ) + 'expected ' + JSON.stringify( expected ) + ', got ' + JSON.stringify( actual ) );
+					}; // end IF
+				}
+			};
+
+			try {
+				if ( test.fcn.length > 1 ) {
+					timer = setTimeout( function() {
+						failures.push( 'timed out after ' + timeout + 'ms' );
+						done();
+					}, timeout );
+					test.fcn( assert, done );
+				} else {
+					test.fcn( assert );
+					done();
+				}; // end IF/ELSE
+			} catch ( error ) {
+				failures.push( 'threw ' + error );
+				done();
+			}; // end TRY/CATCH
+
+			function done() {
+				if ( finished ) {
+					return;
+				}; // end IF
+				finished = true;
+				clearTimeout( timer );
+				results.push( { 'name': test.name, 'failures': failures } );
+				// Run the next test on a fresh stack:
+				setTimeout( next, 0 );
+			}; // end FUNCTION done()
+
+		}; // end FUNCTION next()
+
+		function report( results ) {
+
+			var failed = _.filter( results, function( result ) { return result.failures.length; } );
+
+			var list = d3.select( 'body' ).append( 'ul' )
+				.attr( 'class', 'test-results' );
+
+			_.each( results, function( result ) {
+				var status = result.failures.length ? 'FAIL' : 'PASS';
+				list.append( 'li' )
+					.attr( 'class', status.toLowerCase() )
+					.text( status + ': ' + result.name + ( result.failures.length ? ' -- ' + result.failures.join( '; ' ) : '' ) );
+				console.log( status + ': ' + result.name + ( result.failures.length ? '\n\t' + result.failures.join( '\n\t' ) : '' ) );
+			});
+
+			console.log( ( results.length - failed.length ) + '/' + results.length + ' tests passed.' );
+
+		}; // end FUNCTION report()
+
+	}
+
+};
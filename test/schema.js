@@ -0,0 +1,39 @@
+// Tests: chart option schema
+
+Test.add( 'schema: invalid options are reported and keep their current value', function( assert ) {
+
+	var chart = new App.Models.Chart( { 'title': 'Pressure' } );
+
+	chart.set( { 'title': 5, 'canvas': { 'width': -1, 'height': 200 }, 'xScaleType': 'polar' } );
+
+	assert.equal( _.pluck( chart.reports, 'code' ), [ 'INVALID_OPTION', 'INVALID_OPTION', 'INVALID_OPTION' ], 'reports' );
+	assert.equal( _.pluck( _.pluck( chart.reports, 'context' ), 'path' ), [ 'title', 'canvas.width', 'xScaleType' ], 'paths' );
+	assert.equal( chart.get( 'title' ), 'Pressure', 'invalid value not assigned' );
+	assert.equal( chart.get( 'canvas' ), chart.defaults.canvas, 'invalid nested value not assigned' );
+	assert.equal( chart.get( 'xScaleType' ), 'linear', 'default kept' );
+
+});
+
+Test.add( 'schema: absent nested keys are filled with their defaults', function( assert ) {
+
+	var chart = new App.Models.Chart( { 'axes': { 'x': { 'ticks': 4 } } } );
+
+	assert.equal( chart.get( 'axes.x.ticks' ), 4, 'assigned value' );
+	assert.equal( chart.get( 'axes.x.orient' ), 'bottom', 'filled value' );
+	assert.equal( chart.get( 'axes.y2.orient' ), 'right', 'filled axis' );
+	assert.equal( App.Schema.validate( { 'axes': { 'y': { 'orient': 'top' } } } ), {
+		'axes.y.orient': 'ERROR:invalid input for "axes.y.orient". Assigned value must be one of the following options: left,right'
+	}, 'errors keyed by dotted path' );
+
+});
+
+Test.add( 'schema: unsetting an option is not validated', function( assert ) {
+
+	var chart = new App.Models.Chart( { 'title': 'Pressure' } );
+
+	chart.unset( 'title' );
+
+	assert.equal( chart.reports, [], 'no reports' );
+	assert.ok( !chart.has( 'title' ), 'option unset' );
+
+});
@@ -0,0 +1,63 @@
+// Tests: chart specifications
+
+Test.add( 'spec: a chart built from its serialized specification serializes to the same specification', function( assert ) {
+
+	var el = d3.select( 'body' ).append( 'div' ).attr( 'id', 'spec-fixture' );
+
+	var spec = {
+		'el': '#spec-fixture',
+		'layer': 'AnimationLayer',
+		'data': { 'values': [ {x: 0, y: [1, 2]}, {x: 1, y: [3, 4]} ], 'adapter': 'rows' },
+		'chart': { 'yDomain': [ 0, 'max' ], 'margin': { 'left': 60 }, 'interpolation': 'step-after' },
+		'annotations': { 'title': 'Pressure', 'legend': true }
+	};
+
+	var view = App.Spec.build( spec ),
+		first = App.Spec.serialize( view );
+
+	view.destroy();
+
+	view = App.Spec.build( JSON.parse( JSON.stringify( first ) ) );
+
+	assert.equal( App.Spec.serialize( view ), first, 'round trip' );
+	assert.equal( first.chart.margin.left, 60, 'chart options' );
+	assert.equal( first.annotations, spec.annotations, 'annotations' );
+	assert.equal( view.collection.length, 2, 'data series' );
+
+	view.destroy();
+	el.remove();
+
+});
+
+Test.add( 'spec: a chart fetching its data is returned and passed to the callback once rendered', function( assert, done ) {
+
+	var server = new FakeServer( {
+		'/data/pressure': [ {x: 0, y: [1]}, {x: 1, y: [2]} ]
+	}).start();
+
+	var el = d3.select( 'body' ).append( 'div' ).attr( 'id', 'spec-fixture' ),
+		spec = { 'el': '#spec-fixture', 'layer': 'DataLayer', 'data': { 'url': '/data/pressure', 'adapter': 'rows' }, 'annotations': { 'title': 'Pressure' } };
+
+	var view = App.Spec.build( spec, function( rendered ) {
+
+		var first = App.Spec.serialize( rendered );
+
+		assert.ok( rendered === view, 'same view' );
+		assert.equal( first.data, spec.data, 'data source' );
+
+		rendered.destroy();
+
+		App.Spec.build( first, function( copy ) {
+			server.stop();
+			assert.equal( App.Spec.serialize( copy ), first, 'round trip' );
+			copy.destroy();
+			el.remove();
+			done();
+		});
+
+	});
+
+	assert.ok( view instanceof App.Views.DataLayer, 'view returned' );
+	assert.ok( !view.layer, 'not yet rendered' );
+
+});
@@ -0,0 +1,28 @@
+// Tests: chart themes
+
+Test.add( 'themes: charts render without the theme registry', function( assert ) {
+
+	var el = d3.select( 'body' ).append( 'div' ).attr( 'id', 'themes-fixture' ),
+		Themes = App.Themes;
+
+	// Simulate a page not loading js/themes.js:
+	delete App.Themes;
+
+	try {
+
+		var collection = new App.Collections.Data( [ { 'dataSeries': [ {x: 0, y: 0}, {x: 1, y: 1} ] } ] ),
+			model = new App.Models.Chart( { 'theme': 'light' } ),
+			view = new App.Views.AnimationLayer( { el: '#themes-fixture', collection: collection, model: model } ).render();
+
+		assert.equal( model.get( '_colors' ).range(), d3.scale.category10().range(), 'default palette' );
+		assert.equal( el.selectAll( '.line' )[0].length, 1, 'data series rendered' );
+		assert.ok( !model.validate( model.attributes ), 'default theme is valid' );
+
+		view.destroy();
+
+	} finally {
+		App.Themes = Themes;
+		el.remove();
+	}; // end TRY/FINALLY
+
+});
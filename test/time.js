@@ -0,0 +1,63 @@
+// Tests: time axes
+
+Test.add( 'time: x values are parsed into Dates once, as data is bound or added', function( assert ) {
+
+	var el = d3.select( 'body' ).append( 'div' ).attr( 'id', 'time-fixture' ),
+		parseTime = App.Utils.parseTime,
+		calls = 0;
+
+	App.Utils.parseTime = function() {
+		calls += 1;
+		return parseTime.apply( this, arguments );
+	};
+
+	try {
+
+		var collection = new App.Collections.Data( [ { 'dataSeries': [ {x: '2013-06-01T00:00:00Z', y: 0}, {x: '2013-06-02T00:00:00Z', y: 1} ] } ] ),
+			model = new App.Models.Chart( { 'xScaleType': 'time' } ),
+			view = new App.Views.ListenerLayer( { el: '#time-fixture', collection: collection, model: model } ).render(),
+			series = collection.at( 0 );
+
+		assert.ok( _.isDate( series.get( 'dataSeries' )[0].x ), 'bound data parsed' );
+		assert.equal( calls, 2, 'each bound value parsed once' );
+
+		// Accessing x values does not parse:
+		calls = 0;
+		view.render();
+		_.each( series.get( 'dataSeries' ), model.get( '_xValue' ) );
+		assert.equal( calls, 0, 'values not parsed on access' );
+
+		// Added points are parsed once:
+		series.add( 'dataSeries', {x: 1370217600000, y: 2} );
+		series.set( 'dataSeries[0].x', '2013-05-31T00:00:00Z' );
+		assert.equal( calls, 2, 'each added or changed value parsed once' );
+		assert.equal( +series.get( 'dataSeries' )[2].x, 1370217600000, 'added point' );
+		assert.equal( +series.get( 'dataSeries' )[0].x, Date.UTC( 2013, 4, 31 ), 'changed point' );
+
+		// Data series added to the collection are parsed as well:
+		collection.add( { 'dataSeries': [ {x: '2013-06-01T00:00:00Z', y: 3} ] } );
+		assert.ok( _.isDate( collection.at( 1 ).get( 'dataSeries' )[0].x ), 'added data series parsed' );
+
+		view.destroy();
+
+	} finally {
+		App.Utils.parseTime = parseTime;
+		el.remove();
+	}; // end TRY/FINALLY
+
+});
+
+Test.add( 'time: Dates set over Dates replace them', function( assert ) {
+
+	var series = new App.Models.DataSeries( { 'dataSeries': [ {x: new Date( 1 ), y: 0}, {x: new Date( 2 ), y: 1} ] } );
+
+	series.set( 'dataSeries[0].x', new Date( 3 ) );
+	assert.equal( +series.get( 'dataSeries' )[0].x, 3, 'point value' );
+
+	series.set( 'dataSeries', [ {x: new Date( 4 ), y: 2}, {x: new Date( 5 ), y: 3} ] );
+	assert.equal( _.map( series.get( 'dataSeries' ), function( d ) { return +d.x; } ), [ 4, 5 ], 'data series' );
+
+	series.remove( 'dataSeries[0]' );
+	assert.equal( _.map( series.get( 'dataSeries' ), function( d ) { return +d.x; } ), [ 5 ], 'removed point' );
+
+});
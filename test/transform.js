@@ -0,0 +1,29 @@
+// Tests: App.Models.DataSeries.transform
+
+Test.add( 'transform: a derived series extends as points are added', function( assert ) {
+
+	var series = new App.Models.DataSeries( { 'dataSeries': [ {x: 0, y: 0}, {x: 1, y: 1}, {x: 2, y: 2} ] } ),
+		derived = series.transform( 'cumsum' );
+
+	series.set( 'dataSeries', series.get( 'dataSeries' ).concat( [ {x: 3, y: 3}, {x: 4, y: 4} ] ) );
+
+	assert.equal( _.pluck( derived.get( 'dataSeries' ), 'y' ), [ 0, 1, 3, 6, 10 ] );
+
+});
+
+Test.add( 'transform: a derived series recomputes when source values change in place', function( assert ) {
+
+	var series = new App.Models.DataSeries( { 'dataSeries': _.map( _.range( 5 ), function( i ) { return { 'x': i, 'y': i }; } ) } ),
+		derived = series.transform( 'cumsum' );
+
+	assert.equal( _.pluck( derived.get( 'dataSeries' ), 'y' ), [ 0, 1, 3, 6, 10 ] );
+
+	series.set( 'dataSeries', _.map( series.get( 'dataSeries' ), function( d ) { return { 'x': d.x, 'y': d.y*10 }; } ) );
+
+	assert.equal( _.pluck( derived.get( 'dataSeries' ), 'y' ), [ 0, 10, 30, 60, 100 ], 'all values changed' );
+
+	series.set( 'dataSeries[2].y', 0 );
+
+	assert.equal( _.pluck( derived.get( 'dataSeries' ), 'y' ), [ 0, 10, 10, 40, 80 ], 'a single value changed' );
+
+});
@@ -0,0 +1,31 @@
+// Tests: uncertainty bands and error bars
+
+Test.add( 'uncertainty: changing the option redraws the bounds', function( assert ) {
+
+	var el = d3.select( 'body' ).append( 'div' ).attr( 'id', 'uncertainty-fixture' );
+
+	var collection = new App.Collections.Data( [ { 'color': 'red', 'dataSeries': [ {x: 0, y: 1, lower: 0, upper: 2}, {x: 1, y: 2, lower: 1, upper: 5} ] } ] ),
+		model = new App.Models.Chart(),
+		view = new App.Views.ListenerLayer( { el: '#uncertainty-fixture', collection: collection, model: model } ).render(),
+		band;
+
+	assert.equal( el.selectAll( '.band' )[0].length, 0, 'no bounds' );
+
+	model.set( 'uncertainty', 'band' );
+	band = el.select( '.band' );
+	assert.equal( el.selectAll( '.band' )[0].length, 1, 'band created' );
+	assert.ok( !band.classed( 'errorbars' ) && band.style( 'fill' ) === 'red', 'band filled' );
+	assert.equal( model.get( '_yDomain' )[1], 5, 'bounds contribute to the y domain' );
+
+	model.set( 'uncertainty', 'errorbars' );
+	band = el.select( '.band' );
+	assert.ok( band.classed( 'errorbars' ) && band.style( 'stroke' ) === 'red' && !band.style( 'fill' ), 'error bars stroked' );
+	assert.ok( /V/.test( band.attr( 'd' ) ), 'error bar path' );
+
+	model.set( 'uncertainty', false );
+	assert.equal( el.selectAll( '.band' )[0].length, 0, 'bounds removed' );
+
+	view.destroy();
+	el.remove();
+
+});